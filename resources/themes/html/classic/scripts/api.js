@@ -0,0 +1,115 @@
+/**
+ * Setup the public API for custom scripts.
+ *
+ * This function adds methods to the global `kampose` object that let custom scripts hook
+ * into the theme without replacing its functions. Custom scripts can listen to the
+ * lifecycle events of the theme, add items to the menu bar, decorate the items of the site
+ * navigation, and handle clicks on links before the theme does.
+ *
+ * The decorators of the navigation items are applied to the items the site navigation
+ * renders, which it announces with the `kampose:nav-item-render` event. The sitemap entry
+ * of each rendered item is remembered, so that decorators registered later can be applied
+ * to the items already rendered.
+ *
+ * The lifecycle events are dispatched on the document with the `kampose:` prefix, so that
+ * they can also be observed with `document.addEventListener`.
+ */
+function setupPublicApi() {
+    const kampose = window.kampose;
+    const linkHandlers = [];
+    const navItemDecorators = [];
+    const navItemEntries = new WeakMap();
+
+    kampose.isReady = false;
+
+    kampose.on = (name, listener) => {
+        const type = `kampose:${name}`;
+        document.addEventListener(type, listener);
+        if (name === 'ready' && kampose.isReady) {
+            setTimeout(() => listener(new CustomEvent(type)));
+        }
+        return () => document.removeEventListener(type, listener);
+    };
+
+    kampose.off = (name, listener) => {
+        document.removeEventListener(`kampose:${name}`, listener);
+    };
+
+    kampose.addMenuItem = (item) => {
+        if (!item || typeof item !== 'object' && typeof item !== 'string') return;
+
+        if (!Array.isArray(kampose.config.menuItems)) {
+            kampose.config.menuItems = [];
+        }
+        kampose.config.menuItems.push(item);
+
+        const menuBar = document.getElementById('menubar');
+        if (menuBar && kampose.components?.isInitialized('menu-bar')) {
+            insertMenuItems(menuBar, [item]);
+        }
+    };
+
+    kampose.addNavItemDecorator = (decorator) => {
+        if (typeof decorator !== 'function') return;
+
+        navItemDecorators.push(decorator);
+
+        document.querySelectorAll('#site-navigation .nav-item').forEach(item => {
+            const entry = navItemEntries.get(item);
+            if (entry) {
+                applyNavItemDecorator(decorator, item, entry);
+            }
+        });
+    };
+
+    kampose.addLinkHandler = (handler) => {
+        if (typeof handler === 'function') {
+            linkHandlers.push(handler);
+        }
+    };
+
+    document.addEventListener('kampose:nav-item-render', (e) => {
+        const { item, entry } = e.detail;
+        navItemEntries.set(item, entry);
+        navItemDecorators.forEach(decorator => applyNavItemDecorator(decorator, item, entry));
+    });
+
+    document.addEventListener('click', (e) => {
+        if (linkHandlers.length === 0 || e.defaultPrevented) return;
+
+        const link = e.target.closest?.('a[href]');
+        if (!link) return;
+
+        for (const handler of linkHandlers) {
+            let handled = false;
+            try {
+                handled = handler(link, e) === true;
+            } catch (error) {
+                console.error('Error in link handler:', error);
+            }
+            if (handled || e.defaultPrevented) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+        }
+    }, true);
+}
+
+/**
+ * Apply a navigation item decorator.
+ *
+ * This function calls the decorator and reports its errors without interrupting the
+ * rendering of the site navigation.
+ *
+ * @param {Function} decorator The decorator to apply.
+ * @param {Element} item The list item of the navigation entry.
+ * @param {Object} entry The sitemap entry of the navigation item.
+ */
+function applyNavItemDecorator(decorator, item, entry) {
+    try {
+        decorator(item, entry);
+    } catch (error) {
+        console.error('Error in navigation item decorator:', error);
+    }
+}
\ No newline at end of file
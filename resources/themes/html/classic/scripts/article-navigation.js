@@ -2,9 +2,10 @@
  * Setup article navigation.
  *
  * This function initializes the article navigation by creating a table of contents
- * based on the headings in the article content. It also sets up a scroll spy feature
- * to highlight the current section in the navigation as the user scrolls through the
- * article.
+ * based on the headings in the article content, and assigns ids to the headings that
+ * do not have one yet, the same way heading permalinks do. It also sets up a scroll spy feature
+ * to highlight the current section in the navigation and to reflect it in the URL hash
+ * as the user scrolls through the article.
  *
  * @returns {boolean} True if navigation was set up, false otherwise.
  */
@@ -26,17 +27,9 @@ function setupArticleNavigation() {
     ).join(',');
 
     const headings = Array.from(content.querySelectorAll(headingSelectors));
-
     if (headings.length === 0) return false;
 
-    const seenIds = new Set();
-    headings.forEach((heading, index) => {
-        if (!heading.id) heading.id = `heading-${index}`;
-        for (let i = 1; seenIds.has(heading.id); i++) {
-            heading.id = `${heading.id}-${i}`;
-        }
-        seenIds.add(heading.id);
-    });
+    headings.forEach(assignHeadingId);
 
     buildNavigation(articleNav, content, headings, maxLevel);
     setupScrollSpy(articleNav, content, headings);
@@ -77,10 +70,8 @@ function setupArticleNavigation() {
             a.textContent = heading.textContent;
             a.onclick = function (e) {
                 e.preventDefault();
-                content.scrollTo({
-                    top: heading.offsetTop,
-                    behavior: 'smooth'
-                });
+                replaceHash(heading.id);
+                scrollArticleTo(heading, 'smooth');
             }
 
             li.appendChild(a);
@@ -95,6 +86,8 @@ function setupArticleNavigation() {
         const viewTop = headerHeight + 10;
         for (let i = headings.length - 1; i >= 0; i--) {
             const heading = headings[i];
+            if (heading.hidden) continue;
+
             const rect = heading.getBoundingClientRect();
             if (rect.top <= viewTop) {
                 return heading;
@@ -103,8 +96,17 @@ function setupArticleNavigation() {
         return null;
     }
 
+    function replaceHash(id) {
+        const url = new URL(window.location.href);
+        url.hash = id || '';
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
+
     function setupScrollSpy(articleNav, content, headings) {
         let ticking = false;
+        let activeHeading = null;
 
         const tocLinks = {};
         articleNav.querySelectorAll('a').forEach(link => {
@@ -112,11 +114,15 @@ function setupArticleNavigation() {
             tocLinks[id] = link;
         });
 
-        const onScroll = () => {
+        const onScroll = (syncHash) => {
             if (ticking) return;
             ticking = true;
 
             const heading = findActiveHeading(headings);
+            if (syncHash && heading !== activeHeading) {
+                replaceHash(heading?.id);
+            }
+            activeHeading = heading;
             const tocItem = heading ? tocLinks[heading.id]?.parentElement : null;
 
             articleNav.querySelectorAll('.active').forEach(item => item.classList.remove('active'));
@@ -130,8 +136,8 @@ function setupArticleNavigation() {
             ticking = false;
         }
 
-        content.addEventListener('resize', debounce(() => onScroll(), 500));
-        content.addEventListener('scroll', onScroll, { passive: true });
-        onScroll();
+        content.addEventListener('resize', debounce(() => onScroll(false), 500));
+        content.addEventListener('scroll', () => onScroll(true), { passive: true });
+        onScroll(false);
     }
 }
\ No newline at end of file
@@ -2,53 +2,127 @@
  * Setup breadcrumb visibility and ellipsis.
  *
  * This function adjusts the visibility of breadcrumb items based on the available width
- * of the breadcrumb container. It hides items that do not fit and adds an ellipsis
- * to indicate that there are more items that are not currently visible.
+ * of the breadcrumb container. It hides the leading items that do not fit and adds an
+ * ellipsis button that opens a dropdown listing the hidden items. The hidden items are
+ * only hidden visually, so that screen readers still announce the full path.
  *
  * @returns {boolean} True if breadcrumb was set up, false otherwise.
  */
 function setupBreadcrumbEllipsis() {
     const nav = document.querySelector('.breadcrumb');
-    if (!nav) return;
+    if (!nav) return false;
 
     const list = nav.querySelector('ol') || nav.querySelector('ul');
-    if (!list) return;
+    if (!list) return false;
 
     const items = Array.from(list.children);
+    const ellipsis = createEllipsis();
 
-    adjustBreadcrumbVisibility(items, list)
-    window.addEventListener('resize', debounce(() => adjustBreadcrumbVisibility(items, list), 100));
+    adjustBreadcrumbVisibility(items, list);
+
+    const header = nav.closest('.header') || nav;
+    if (window.ResizeObserver) {
+        let lastWidth = header.clientWidth;
+        const observer = new ResizeObserver(debounce(() => {
+            if (!list.isConnected) {
+                observer.disconnect();
+            } else if (header.clientWidth !== lastWidth) {
+                lastWidth = header.clientWidth;
+                adjustBreadcrumbVisibility(items, list);
+            }
+        }, 100));
+        observer.observe(header);
+    } else {
+        const onResize = debounce(() => {
+            if (list.isConnected) {
+                adjustBreadcrumbVisibility(items, list);
+            } else {
+                window.removeEventListener('resize', onResize);
+            }
+        }, 100);
+        window.addEventListener('resize', onResize);
+    }
+
+    return true;
 
     function adjustBreadcrumbVisibility(items, list) {
         resetBreadcrumbItems(items, list);
         const availableWidth = getAvailableBreadcrumbWidth(list);
         if (availableWidth > 0) {
-            let ellipsis = null;
+            const hiddenItems = [];
             for (let i = 0; i < items.length - 1 && list.scrollWidth > availableWidth; i++) {
-                items[i].style.display = 'none';
-                if (!ellipsis) {
-                    ellipsis = createEllipsis();
+                if (hiddenItems.length === 0) {
                     list.insertBefore(ellipsis, items[i]);
                 }
+                hideBreadcrumbItem(items[i]);
+                hiddenItems.push(items[i]);
+            }
+            if (hiddenItems.length !== 0) {
+                updateEllipsisMenu(hiddenItems);
             }
         }
     }
 
     function resetBreadcrumbItems(items, list) {
-        const ellipsis = list.querySelector('.ellipsis');
-        if (ellipsis) {
+        if (ellipsis.parentElement === list) {
+            ellipsis.classList.remove('open');
+            ellipsis.querySelector(':scope > button').setAttribute('aria-expanded', 'false');
             list.removeChild(ellipsis);
-            items.forEach(li => li.style.display = '');
+            items.forEach(showBreadcrumbItem);
         }
     }
 
+    function hideBreadcrumbItem(item) {
+        item.classList.add('visually-hidden', 'collapsed');
+        item.querySelectorAll('a').forEach(link => link.tabIndex = -1);
+    }
+
+    function showBreadcrumbItem(item) {
+        item.classList.remove('visually-hidden', 'collapsed');
+        item.querySelectorAll('a').forEach(link => link.removeAttribute('tabindex'));
+    }
+
     function createEllipsis() {
         const ellipsis = document.createElement('li');
-        ellipsis.className = 'ellipsis';
-        ellipsis.textContent = '…';
+        ellipsis.className = 'ellipsis has-submenu';
+
+        const trigger = document.createElement('button');
+        trigger.type = 'button';
+        trigger.textContent = getUiString('breadcrumbEllipsis');
+        ellipsis.appendChild(trigger);
+
+        const menu = document.createElement('ul');
+        menu.className = 'menu';
+        menu.setAttribute('role', 'menu');
+        menu.tabIndex = -1;
+        ellipsis.appendChild(menu);
+
+        activateDropdown(ellipsis);
         return ellipsis;
     }
 
+    function updateEllipsisMenu(hiddenItems) {
+        const count = hiddenItems.length;
+        const trigger = ellipsis.querySelector(':scope > button');
+        trigger.setAttribute('aria-label', getUiString(count === 1 ? 'showHiddenBreadcrumbItem' : 'showHiddenBreadcrumbItems', { count }));
+        trigger.title = hiddenItems.map(item => item.querySelector('.name')?.textContent.trim()).join(' ⟩ ');
+
+        const menu = ellipsis.querySelector(':scope > .menu');
+        menu.innerHTML = '';
+        hiddenItems.forEach(item => {
+            const menuItem = document.createElement('li');
+            menuItem.className = `menu-item ${item.className.replace(/\b(visually-hidden|collapsed)\b/g, '').trim()}`;
+            menuItem.setAttribute('role', 'menuitem');
+            menuItem.tabIndex = -1;
+
+            const link = item.querySelector('a').cloneNode(true);
+            link.removeAttribute('tabindex');
+            link.tabIndex = -1;
+            menuItem.appendChild(link);
+            menu.appendChild(menuItem);
+        });
+    }
+
     function getAvailableBreadcrumbWidth(list) {
         let container = list.parentElement;
         while (container && container !== document.body && container !== document.documentElement) {
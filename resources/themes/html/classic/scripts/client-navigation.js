@@ -0,0 +1,160 @@
+/**
+ * Setup client-side navigation.
+ *
+ * This function intercepts clicks on links to other documentation pages and loads the
+ * target page in the background. Instead of reloading the whole page, it replaces the
+ * article, the breadcrumb and the article navigation with those of the loaded page, takes
+ * over its relative base URL, sets up the per-page components of the registry again for
+ * the new content, and updates the browser history. If anything goes wrong, the page is
+ * loaded normally.
+ *
+ * @returns {boolean} True if client-side navigation was set up, false otherwise.
+ */
+function setupClientNavigation() {
+    if (!window.kampose.config.clientSideNavigation) return false;
+    if (window.location.protocol === 'file:' || !window.history.pushState) return false;
+    if (!document.getElementById('article')) return false;
+
+    const baseUrl = resolveBaseUrl(document.getElementById('site-navigation') || document.getElementById('menubar'));
+
+    let currentPath = window.location.pathname;
+    let pendingNavigation = null;
+
+    document.addEventListener('click', (e) => {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || !isDocumentationLink(link)) return;
+
+        const url = new URL(link.href);
+        if (url.pathname === currentPath && url.hash) return;
+
+        e.preventDefault();
+        navigateTo(url, true);
+    });
+
+    window.addEventListener('popstate', () => {
+        if (window.location.pathname === currentPath) return;
+        navigateTo(new URL(window.location.href), false);
+    });
+
+    return true;
+
+    function isDocumentationLink(link) {
+        if (link.target && link.target !== '_self') return false;
+        if (link.hasAttribute('download')) return false;
+        if (link.classList.contains('popup-link') || link.classList.contains('external-link')) return false;
+
+        const url = new URL(link.href);
+        return url.origin === window.location.origin
+            && url.href.startsWith(baseUrl)
+            && (url.pathname.endsWith('.html') || url.pathname.endsWith('/'));
+    }
+
+    function navigateTo(url, addToHistory) {
+        const navigation = pendingNavigation = {};
+
+        fetch(url.href)
+            .then(response => {
+                if (!response.ok) throw new Error(`Failed to load ${url.href}`);
+                return response.text();
+            })
+            .then(html => {
+                if (navigation !== pendingNavigation) return;
+
+                const page = new DOMParser().parseFromString(html, 'text/html');
+                const article = page.getElementById('article');
+                if (!article) throw new Error(`No article in ${url.href}`);
+
+                if (addToHistory) {
+                    resolveLinks(document);
+                    window.history.pushState(null, '', url.href);
+                }
+
+                currentPath = window.location.pathname;
+                swapPage(page, article);
+                scrollToTarget(url);
+
+                document.dispatchEvent(new CustomEvent('kampose:page-change', { detail: { url: url.href } }));
+            })
+            .catch(() => {
+                if (navigation !== pendingNavigation) return;
+
+                if (addToHistory) {
+                    window.location.href = url.href;
+                } else {
+                    window.location.reload();
+                }
+            });
+    }
+
+    function swapPage(page, article) {
+        document.title = page.title;
+
+        const description = page.querySelector('meta[name="description"]');
+        document.querySelector('meta[name="description"]')?.remove();
+        if (description) {
+            document.head.appendChild(document.importNode(description, true));
+        }
+
+        const newArticle = document.importNode(article, true);
+        document.getElementById('article').replaceWith(newArticle);
+
+        replaceElement('.breadcrumb', page);
+        replaceElement('#article-navigation', page);
+        updateBaseUrl(page);
+
+        const breadcrumb = document.querySelector('.breadcrumb');
+        if (breadcrumb) {
+            localizeElements(breadcrumb);
+        }
+
+        const components = window.kampose.components;
+        const roots = [newArticle, breadcrumb].filter(Boolean);
+        components.reinitialize('content', roots);
+        if (window.Prism) {
+            window.Prism.highlightAllUnder(newArticle);
+        }
+        components.reinitialize('frame', roots);
+
+        if (!document.activeElement || document.activeElement === document.body) {
+            newArticle.setAttribute('tabindex', '-1');
+            newArticle.focus({ preventScroll: true });
+        }
+    }
+
+    function replaceElement(selector, page) {
+        const current = document.querySelector(selector);
+        const replacement = page.querySelector(selector);
+        if (current && replacement) {
+            current.replaceWith(document.importNode(replacement, true));
+        }
+    }
+
+    function updateBaseUrl(page) {
+        ['site-navigation', 'menubar'].forEach(id => {
+            const current = document.getElementById(id);
+            const baseUrl = page.getElementById(id)?.getAttribute('data-base-url');
+            if (current && baseUrl) {
+                current.setAttribute('data-base-url', baseUrl);
+            }
+        });
+    }
+
+    function resolveLinks(root) {
+        root.querySelectorAll('a[href]').forEach(link => {
+            if (!link.getAttribute('href').startsWith('#')) {
+                link.setAttribute('href', link.href);
+            }
+        });
+    }
+
+    function scrollToTarget(url) {
+        const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.substring(1))) : null;
+        if (target) {
+            scrollArticleTo(target);
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+}
\ No newline at end of file
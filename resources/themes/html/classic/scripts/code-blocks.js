@@ -0,0 +1,133 @@
+/**
+ * Setup code block toolbars.
+ *
+ * This function adds a toolbar to each code block of the article. The toolbar shows the
+ * language of the code, a button to copy the code to the clipboard, and a button to toggle
+ * soft wrapping of long lines. The soft wrap preference is stored in local storage for
+ * persistence across sessions.
+ *
+ * For shell sessions, the prompts at the beginning of the lines are not copied, so that
+ * the copied commands can be pasted into a terminal as they are.
+ *
+ * @returns {boolean} True if code block toolbars were set up, false otherwise.
+ */
+function setupCodeBlocks() {
+    const article = document.getElementById('article');
+    if (!article) return false;
+
+    const codeBlocks = Array.from(article.querySelectorAll('pre > code'))
+        .map(code => code.parentElement)
+        .filter(pre => !pre.parentElement.classList.contains('code-block'));
+
+    if (codeBlocks.length === 0) return false;
+
+    const languageNames = {
+        csharp: 'C#',
+        cs: 'C#',
+        vb: 'VB',
+        vbnet: 'VB',
+        fsharp: 'F#',
+        cpp: 'C++',
+        js: 'JavaScript',
+        javascript: 'JavaScript',
+        ts: 'TypeScript',
+        typescript: 'TypeScript',
+        json: 'JSON',
+        xml: 'XML',
+        html: 'HTML',
+        css: 'CSS',
+        sql: 'SQL',
+        powershell: 'PowerShell',
+        bash: 'Bash',
+        shell: 'Shell',
+        console: 'Console'
+    };
+
+    const shellLanguages = new Set(['bash', 'sh', 'shell', 'console', 'powershell', 'ps', 'ps1', 'pwsh']);
+    const promptPattern = /^[ \t]*(?:\$ |> |PS(?: [^>\n]*)?> ?|[A-Za-z]:\\[^>\n]*> ?)/gm;
+
+    const feedbackDuration = 2000;
+    const feedbackTimeouts = new WeakMap();
+
+    codeBlocks.forEach(pre => createCodeBlock(pre));
+    applySoftWrap(retrieveFromLocalStorage('code-soft-wrap') === 'true');
+    return true;
+
+    function createCodeBlock(pre) {
+        const code = pre.querySelector(':scope > code');
+
+        const container = document.createElement('div');
+        container.className = 'code-block';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'code-toolbar';
+
+        const language = getLanguage(code);
+        if (language) {
+            container.dataset.language = language;
+            const label = document.createElement('span');
+            label.className = 'code-language';
+            label.textContent = languageNames[language] || language;
+            toolbar.appendChild(label);
+        }
+
+        const wrapButton = document.createElement('button');
+        wrapButton.type = 'button';
+        wrapButton.className = 'code-wrap-toggle';
+        wrapButton.textContent = getUiString('softWrap');
+        wrapButton.title = getUiString('softWrapHint');
+        wrapButton.setAttribute('aria-pressed', 'false');
+        wrapButton.addEventListener('click', () => {
+            const softWrap = wrapButton.getAttribute('aria-pressed') !== 'true';
+            applySoftWrap(softWrap);
+            storeInLocalStorage('code-soft-wrap', softWrap ? 'true' : null);
+        });
+        toolbar.appendChild(wrapButton);
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'code-copy';
+        copyButton.textContent = getUiString('copy');
+        copyButton.title = getUiString('copyCode');
+        copyButton.setAttribute('aria-live', 'polite');
+        copyButton.addEventListener('click', () => {
+            copyToClipboard(getCodeText(code, language))
+                .then(() => showFeedback(copyButton, getUiString('copied'), 'copied'))
+                .catch(() => showFeedback(copyButton, getUiString('copyFailed'), 'failed'));
+        });
+        toolbar.appendChild(copyButton);
+
+        pre.parentElement.insertBefore(container, pre);
+        container.appendChild(toolbar);
+        container.appendChild(pre);
+    }
+
+    function getLanguage(code) {
+        const languageClass = Array.from(code.classList).find(name => name.startsWith('language-'));
+        return languageClass ? languageClass.substring('language-'.length).toLowerCase() : null;
+    }
+
+    function getCodeText(code, language) {
+        const clone = code.cloneNode(true);
+        clone.querySelectorAll('[aria-hidden="true"]').forEach(element => element.remove());
+        return shellLanguages.has(language) ? clone.textContent.replace(promptPattern, '') : clone.textContent;
+    }
+
+    function showFeedback(button, text, className) {
+        clearTimeout(feedbackTimeouts.get(button));
+        button.textContent = text;
+        button.classList.remove('copied', 'failed');
+        button.classList.add(className);
+        feedbackTimeouts.set(button, setTimeout(() => {
+            button.textContent = getUiString('copy');
+            button.classList.remove(className);
+        }, feedbackDuration));
+    }
+
+    function applySoftWrap(softWrap) {
+        document.querySelectorAll('.code-block').forEach(block => {
+            block.classList.toggle('soft-wrap', softWrap);
+            block.querySelector('.code-wrap-toggle')?.setAttribute('aria-pressed', softWrap ? 'true' : 'false');
+        });
+    }
+}
\ No newline at end of file
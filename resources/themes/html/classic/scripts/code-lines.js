@@ -0,0 +1,169 @@
+/**
+ * Setup line numbers, line highlighting and diff rendering of code blocks.
+ *
+ * This function adds a line-number gutter to each multi-line code block of the article and
+ * emphasizes the lines listed in the `data-line` attribute of the code element (for example
+ * `2,5-7`). Code blocks whose language starts with `diff-` are rendered as diffs: the leading
+ * `+` and `-` markers are removed, the code is highlighted using the remaining language, and
+ * the added and removed lines are colored accordingly.
+ *
+ * Since the lines can only be split after syntax highlighting, this function must be called
+ * before Prism highlights the code blocks. The hook that renders the lines once Prism is done
+ * is added by the first setup, and serves the code blocks of all the pages through the state
+ * of the component.
+ *
+ * @param {Object} [context] The setup context of the component.
+ * @param {Element[]} [context.roots] The replaced content, if the component is set up again.
+ * @param {Object} [context.state] The state of the component, kept across its setups.
+ * @returns {boolean} True if code block lines were set up, false otherwise.
+ */
+function setupCodeLines({ roots, state = {} } = {}) {
+    if (!roots) {
+        state.lineTypes = new WeakMap();
+        state.pendingBlocks = new Set();
+        window.Prism?.hooks.add('complete', (env) => {
+            if (state.pendingBlocks.delete(env.element)) {
+                renderLines(env.element);
+            }
+        });
+    }
+
+    const { lineTypes, pendingBlocks } = state;
+
+    const article = document.getElementById('article');
+    if (!article) return false;
+
+    const codeBlocks = Array.from(article.querySelectorAll('pre > code'))
+        .filter(code => !code.classList.contains('code-lines'));
+
+    if (codeBlocks.length === 0) return false;
+
+    codeBlocks.forEach(code => {
+        prepareDiff(code);
+        if (window.Prism && hasLanguage(code)) {
+            pendingBlocks.add(code);
+        } else {
+            renderLines(code);
+        }
+    });
+
+    return true;
+
+    function hasLanguage(code) {
+        return Array.from(code.classList).some(name => name.startsWith('language-') || name.startsWith('lang-'));
+    }
+
+    function prepareDiff(code) {
+        const diffClass = Array.from(code.classList).find(name => name.startsWith('language-diff-'));
+        if (!diffClass) return;
+
+        const types = [];
+        const lines = code.textContent.replace(/\n$/, '').split('\n').map(line => {
+            switch (line.charAt(0)) {
+                case '+':
+                    types.push('inserted');
+                    return line.substring(1);
+                case '-':
+                    types.push('deleted');
+                    return line.substring(1);
+                case ' ':
+                    types.push(null);
+                    return line.substring(1);
+                default:
+                    types.push(null);
+                    return line;
+            }
+        });
+
+        code.classList.replace(diffClass, 'language-' + diffClass.substring('language-diff-'.length));
+        code.textContent = lines.join('\n') + '\n';
+        lineTypes.set(code, types);
+    }
+
+    function renderLines(code) {
+        const lines = splitLines(code);
+        if (lines.length < 2 && !lineTypes.has(code) && !code.dataset.line) return;
+
+        const highlightedLines = parseLineRanges(code.dataset.line || code.parentElement.dataset.line);
+        const types = lineTypes.get(code) || [];
+
+        code.textContent = '';
+        lines.forEach((line, index) => {
+            const lineNumber = index + 1;
+            line.className = 'code-line';
+            line.dataset.lineNumber = lineNumber;
+            if (highlightedLines.has(lineNumber)) {
+                line.classList.add('highlighted');
+            }
+            if (types[index]) {
+                line.classList.add(types[index]);
+            }
+            code.appendChild(line);
+            code.appendChild(document.createTextNode('\n'));
+        });
+
+        code.classList.add('code-lines');
+        code.style.setProperty('--line-number-width', `${String(lines.length).length}ch`);
+    }
+
+    function splitLines(code) {
+        const lines = [];
+        let line = document.createElement('span');
+        let openElements = [];
+
+        code.childNodes.forEach(node => appendNode(node, line));
+        if (line.childNodes.length !== 0 || lines.length === 0) {
+            lines.push(line);
+        }
+        return lines;
+
+        function appendNode(node, parent) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                node.textContent.split('\n').forEach((text, index) => {
+                    if (index !== 0) {
+                        parent = startNewLine();
+                    }
+                    if (text) {
+                        parent.appendChild(document.createTextNode(text));
+                    }
+                });
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                const element = node.cloneNode(false);
+                parent.appendChild(element);
+                openElements.push(element);
+                node.childNodes.forEach(child => {
+                    appendNode(child, openElements[openElements.length - 1]);
+                });
+                openElements.pop();
+            }
+            return parent;
+        }
+
+        function startNewLine() {
+            lines.push(line);
+            line = document.createElement('span');
+            let parent = line;
+            openElements = openElements.map(element => {
+                const clone = element.cloneNode(false);
+                parent.appendChild(clone);
+                parent = clone;
+                return clone;
+            });
+            return parent;
+        }
+    }
+
+    function parseLineRanges(value) {
+        const lineNumbers = new Set();
+        if (!value) return lineNumbers;
+
+        value.split(',').forEach(range => {
+            const [start, end] = range.split('-').map(number => parseInt(number, 10));
+            if (isNaN(start)) return;
+            for (let lineNumber = start; lineNumber <= (isNaN(end) ? start : end); lineNumber++) {
+                lineNumbers.add(lineNumber);
+            }
+        });
+        return lineNumbers;
+    }
+}
\ No newline at end of file
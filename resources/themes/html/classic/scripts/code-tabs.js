@@ -0,0 +1,134 @@
+/**
+ * Setup tabbed code samples.
+ *
+ * This function groups adjacent code blocks written in different languages into a tab
+ * panel, so that only one language is shown at a time. The selected language is stored
+ * in local storage for persistence across sessions, and is applied to every tab group
+ * that offers the language.
+ *
+ * @returns {boolean} True if tabbed code samples were set up, false otherwise.
+ */
+function setupCodeTabs() {
+    const article = document.getElementById('article');
+    if (!article) return false;
+
+    const groups = findCodeBlockGroups(article);
+    if (groups.length === 0) return false;
+
+    const groupOffset = document.querySelectorAll('.code-tabs').length;
+    groups.forEach((blocks, index) => createTabGroup(blocks, groupOffset + index));
+
+    selectLanguage(retrieveFromLocalStorage('code-language'));
+    return true;
+
+    function findCodeBlockGroups(article) {
+        const groups = [];
+        article.querySelectorAll('.code-block[data-language]').forEach(block => {
+            if (block.parentElement.classList.contains('code-tabs')) return;
+            if (groups.some(group => group.includes(block))) return;
+
+            const group = [block];
+            const languages = new Set([block.dataset.language]);
+            for (let next = block.nextElementSibling; next?.matches('.code-block[data-language]'); next = next.nextElementSibling) {
+                if (languages.has(next.dataset.language)) break;
+                languages.add(next.dataset.language);
+                group.push(next);
+            }
+
+            if (group.length > 1) {
+                groups.push(group);
+            }
+        });
+        return groups;
+    }
+
+    function createTabGroup(blocks, groupIndex) {
+        const container = document.createElement('div');
+        container.className = 'code-tabs';
+
+        const tabList = document.createElement('div');
+        tabList.className = 'code-tab-list';
+        tabList.setAttribute('role', 'tablist');
+        tabList.setAttribute('aria-label', getUiString('codeLanguages'));
+        container.appendChild(tabList);
+
+        blocks[0].parentElement.insertBefore(container, blocks[0]);
+
+        blocks.forEach((block, index) => {
+            const tabId = `code-tab-${groupIndex}-${index}`;
+            const panelId = `code-panel-${groupIndex}-${index}`;
+
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.id = tabId;
+            tab.className = 'code-tab';
+            tab.dataset.language = block.dataset.language;
+            tab.textContent = block.querySelector('.code-language')?.textContent || block.dataset.language;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', panelId);
+            tab.addEventListener('click', () => {
+                selectLanguage(tab.dataset.language);
+                storeInLocalStorage('code-language', tab.dataset.language);
+            });
+            tabList.appendChild(tab);
+
+            block.id = panelId;
+            block.setAttribute('role', 'tabpanel');
+            block.setAttribute('aria-labelledby', tabId);
+            container.appendChild(block);
+        });
+
+        tabList.addEventListener('keydown', (e) => {
+            const tabs = Array.from(tabList.querySelectorAll('[role="tab"]'));
+            const index = tabs.indexOf(e.target);
+            if (index < 0) return;
+
+            let newIndex;
+            switch (getLogicalKey(e.key, tabList)) {
+                case 'ArrowRight':
+                    newIndex = (index + 1) % tabs.length;
+                    break;
+                case 'ArrowLeft':
+                    newIndex = (index - 1 + tabs.length) % tabs.length;
+                    break;
+                case 'Home':
+                    newIndex = 0;
+                    break;
+                case 'End':
+                    newIndex = tabs.length - 1;
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            tabs[newIndex].focus();
+            tabs[newIndex].click();
+        });
+
+        selectTab(container, blocks[0].dataset.language);
+    }
+
+    function selectLanguage(language) {
+        if (!language) return;
+
+        document.querySelectorAll('.code-tabs').forEach(container => {
+            if (container.querySelector(`:scope > .code-tab-list > [data-language="${CSS.escape(language)}"]`)) {
+                selectTab(container, language);
+            }
+        });
+    }
+
+    function selectTab(container, language) {
+        container.querySelectorAll(':scope > .code-tab-list > [role="tab"]').forEach(tab => {
+            const selected = tab.dataset.language === language;
+            tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+            tab.tabIndex = selected ? 0 : -1;
+
+            const panel = document.getElementById(tab.getAttribute('aria-controls'));
+            if (panel) {
+                panel.hidden = !selected;
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -2,7 +2,8 @@
  * Setup the color mode selector.
  *
  * This function initializes the color mode selector, allowing users to switch between
- * light, dark, and system color modes. It updates the icon based on the selected mode.
+ * the color schemes of the theme and the system color mode. The menu items are created
+ * from the available color schemes, and the icon is updated based on the selected mode.
  * It also stores the selected mode in local storage for persistence across sessions.
  *
  * @returns {boolean} True if the color mode selector was set up, false otherwise.
@@ -11,28 +12,61 @@ function setupColorModeSelector() {
     const colorModeSelector = document.getElementById('color-mode');
     if (!colorModeSelector) return false;
 
+    const menu = colorModeSelector.querySelector(':scope > .menu');
+    if (!menu) return false;
+
+    const systemItem = menu.querySelector('.menu-item[data-mode="system"]');
+    getColorSchemes().forEach(scheme => menu.insertBefore(createMenuItem(scheme), systemItem));
+
+    const modes = Array.from(menu.querySelectorAll('.menu-item[data-mode]')).map(item => item.dataset.mode);
+
     const setColorModeIcon = (selectedMode) => {
+        selectedMode = modes.includes(selectedMode) ? selectedMode : 'system';
+
         const icon = colorModeSelector.querySelector('.selected-icon');
-        if (!icon) return;
+        if (icon) {
+            modes.forEach(mode => icon.classList.toggle(`icon-${mode}-color`, mode === selectedMode));
+        }
 
-        const modes = ['light', 'dark', 'system'];
-        selectedMode = modes.includes(selectedMode) ? selectedMode : 'system';
-        modes.forEach(mode => icon.classList.toggle(`icon-${mode}-color`, mode === selectedMode));
+        menu.querySelectorAll('.menu-item[data-mode]').forEach(item => {
+            item.setAttribute('aria-checked', item.dataset.mode === selectedMode ? 'true' : 'false');
+        });
     }
 
-    setColorModeIcon(retrieveFromLocalStorage('color-mode'));
+    setColorModeIcon(document.documentElement.getAttribute('data-color-mode'));
+    document.addEventListener('kampose:color-mode-change', (e) => setColorModeIcon(e.detail.mode));
 
-    colorModeSelector.querySelectorAll('.menu-item').forEach(item => {
+    menu.querySelectorAll('.menu-item').forEach(item => {
         item.addEventListener('click', (e) => {
             e.preventDefault();
-            const mode = item.dataset.mode;
-            applyColorMode(mode);
-            setColorModeIcon(mode);
-            storeInLocalStorage('color-mode', ['light', 'dark'].includes(mode) ? mode : null);
-            colorModeSelector.classList.remove('open');
+            const mode = applyColorMode(item.dataset.mode);
+            storeInLocalStorage('color-mode', mode !== 'system' ? mode : null);
         });
     });
 
     activateDropdown(colorModeSelector);
     return true;
+
+    function createMenuItem(scheme) {
+        const item = document.createElement('li');
+        item.className = 'menu-item';
+        item.dataset.mode = scheme.name;
+        item.setAttribute('role', 'menuitemradio');
+        item.setAttribute('aria-label', getUiString('colorModeNamed', { mode: scheme.title }));
+        item.tabIndex = -1;
+
+        const link = document.createElement('a');
+
+        const icon = document.createElement('span');
+        icon.className = `icon icon-${scheme.name}-color`;
+        icon.setAttribute('aria-hidden', 'true');
+        link.appendChild(icon);
+
+        const title = document.createElement('span');
+        title.textContent = scheme.title;
+        link.appendChild(title);
+
+        item.appendChild(link);
+        return item;
+    }
 }
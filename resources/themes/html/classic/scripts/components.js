@@ -0,0 +1,136 @@
+/**
+ * Create the registry of the theme components.
+ *
+ * This function returns the registry in which the features of the theme are registered
+ * as named components. Each component has a setup function and a stage: components of the
+ * `content` stage are set up as soon as the document is loaded, and components of the
+ * `frame` stage are set up in the following animation frame, because they change the
+ * layout of the page. Within a stage, components are set up in the order of registration.
+ * Components registered with the `perPage` option set up the content of the article, and
+ * are set up again by client-side navigation whenever it replaces the article.
+ *
+ * A derived theme can replace, wrap, or disable a component by its name. These changes
+ * are kept apart from the registered components, so they can be made before or after the
+ * component is registered, as long as they are made before the component is set up.
+ *
+ * Setup functions receive a context with the `config` and `sitemap` of the documentation,
+ * the shared `utils` of the theme, the `components` registry itself, and a `state` object
+ * that the registry keeps for the component across its setups. When set up again, the
+ * context also has the `roots` elements of the replaced content, to which the setup can be
+ * limited. Only components that were set up are set up again, so the first setup, the one
+ * without `roots`, is the single place for work that must be done once per document, such
+ * as adding event listeners to the window.
+ *
+ * @param {Object} context The context passed to the setup functions.
+ * @returns {Object} The registry of the theme components.
+ */
+function createComponentRegistry(context = {}) {
+    const definitions = new Map();
+    const modifiers = new Map();
+    const disabled = new Set();
+    const initialized = new Map();
+    const states = new Map();
+
+    const registry = {
+        register(name, setup, options = {}) {
+            if (typeof setup !== 'function') throw new TypeError(`The setup of the '${name}' component must be a function.`);
+
+            const definition = { name, setup, stage: options.stage || 'content', perPage: Boolean(options.perPage) };
+            const anchor = options.before || options.after;
+            if (definitions.has(name) || !definitions.has(anchor)) {
+                definitions.set(name, definition);
+                return registry;
+            }
+
+            const entries = Array.from(definitions.entries());
+            const index = entries.findIndex(([key]) => key === anchor) + (options.after ? 1 : 0);
+            entries.splice(index, 0, [name, definition]);
+            definitions.clear();
+            entries.forEach(([key, value]) => definitions.set(key, value));
+            return registry;
+        },
+
+        replace(name, setup) {
+            if (typeof setup !== 'function') throw new TypeError(`The setup of the '${name}' component must be a function.`);
+            return modify(name, () => setup);
+        },
+
+        wrap(name, wrapper) {
+            if (typeof wrapper !== 'function') throw new TypeError(`The wrapper of the '${name}' component must be a function.`);
+            return modify(name, setup => (ctx) => wrapper(setup, ctx));
+        },
+
+        disable(name) {
+            disabled.add(name);
+            return registry;
+        },
+
+        enable(name) {
+            disabled.delete(name);
+            return registry;
+        },
+
+        has(name) {
+            return definitions.has(name);
+        },
+
+        isEnabled(name) {
+            return definitions.has(name) && !disabled.has(name);
+        },
+
+        isInitialized(name) {
+            return initialized.has(name);
+        },
+
+        getResult(name) {
+            return initialized.get(name);
+        },
+
+        names(stage) {
+            return Array.from(definitions.values())
+                .filter(definition => !stage || definition.stage === stage)
+                .map(definition => definition.name);
+        },
+
+        initialize(stage) {
+            const ctx = { ...context, components: registry };
+            definitions.forEach(definition => {
+                if (definition.stage !== stage || disabled.has(definition.name) || initialized.has(definition.name)) return;
+                setUp(definition, ctx);
+            });
+            return registry;
+        },
+
+        reinitialize(stage, roots) {
+            const ctx = { ...context, components: registry, roots };
+            definitions.forEach(definition => {
+                if (definition.stage !== stage || !definition.perPage || disabled.has(definition.name) || !initialized.has(definition.name)) return;
+                setUp(definition, ctx);
+            });
+            return registry;
+        }
+    };
+
+    return registry;
+
+    function setUp(definition, ctx) {
+        const setup = (modifiers.get(definition.name) || []).reduce((current, modifier) => modifier(current), definition.setup);
+        if (!states.has(definition.name)) {
+            states.set(definition.name, {});
+        }
+        try {
+            initialized.set(definition.name, setup({ ...ctx, state: states.get(definition.name) }));
+        } catch (error) {
+            initialized.set(definition.name, false);
+            console.error(`Error in the setup of the '${definition.name}' component:`, error);
+        }
+    }
+
+    function modify(name, modifier) {
+        if (!modifiers.has(name)) {
+            modifiers.set(name, []);
+        }
+        modifiers.get(name).push(modifier);
+        return registry;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,477 @@
+/**
+ * Setup the file viewer of the popup modal.
+ *
+ * This function initializes the toolbar of the file viewer, which lets users switch
+ * between the rendered view of a file and its raw content.
+ *
+ * @returns {boolean} True if the file viewer was set up, false otherwise.
+ */
+function setupFileViewer() {
+    const viewer = document.getElementById('modal-viewer');
+    if (!viewer) return false;
+
+    const rawToggle = viewer.querySelector('.viewer-raw-toggle');
+    if (!rawToggle) return false;
+
+    rawToggle.addEventListener('click', () => {
+        const showRaw = rawToggle.getAttribute('aria-pressed') !== 'true';
+        rawToggle.setAttribute('aria-pressed', showRaw ? 'true' : 'false');
+        viewer.querySelector('.viewer-content').hidden = showRaw;
+        viewer.querySelector('.viewer-raw').hidden = !showRaw;
+    });
+
+    return true;
+}
+
+/**
+ * Determine how the file viewer should render a file.
+ *
+ * This function picks a renderer based on the extension of the file name and falls back
+ * to the content type of the file.
+ *
+ * @param {string} fileName The name of the file.
+ * @param {string} mimeType The content type of the file.
+ * @returns {Object|null} An object with the `type` of the renderer ('json', 'markdown', 'csv',
+ *                        'tsv', or 'code') and the `language` for source code, or null if the
+ *                        file has no dedicated renderer.
+ */
+function getFileViewerFormat(fileName, mimeType) {
+    const codeLanguages = {
+        cs: 'csharp',
+        csx: 'csharp',
+        vb: 'vbnet',
+        fs: 'fsharp',
+        fsx: 'fsharp',
+        js: 'javascript',
+        mjs: 'javascript',
+        cjs: 'javascript',
+        css: 'css',
+        html: 'markup',
+        htm: 'markup',
+        xml: 'markup',
+        xaml: 'markup',
+        csproj: 'markup',
+        props: 'markup',
+        targets: 'markup',
+        config: 'markup',
+        sh: 'bash',
+        bash: 'bash',
+        bat: 'batch',
+        cmd: 'batch',
+        ps1: 'powershell',
+        psm1: 'powershell',
+        sql: 'sql',
+        yml: 'yaml',
+        yaml: 'yaml',
+        hbs: 'handlebars',
+        qs: 'qsharp',
+        dockerfile: 'docker'
+    };
+
+    const name = fileName.toLowerCase();
+    const extension = name.includes('.') ? name.substring(name.lastIndexOf('.') + 1) : name;
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+    if (extension === 'json' || type === 'application/json') return { type: 'json' };
+    if (extension === 'md' || extension === 'markdown' || type === 'text/markdown') return { type: 'markdown' };
+    if (extension === 'csv' || type === 'text/csv') return { type: 'csv' };
+    if (extension === 'tsv' || type === 'text/tab-separated-values') return { type: 'tsv' };
+    if (codeLanguages[extension]) return { type: 'code', language: codeLanguages[extension] };
+
+    return null;
+}
+
+/**
+ * Displays the content of a text file in the file viewer of the popup modal.
+ *
+ * The content is rendered according to the provided format: JSON as a collapsible tree,
+ * Markdown as HTML, CSV and TSV as a sortable table, and source code with syntax
+ * highlighting. The raw content remains available through the toolbar of the viewer.
+ *
+ * Markdown files are rendered by a small built-in renderer that supports only the common
+ * constructs of README-like files: ATX headings, paragraphs, fenced code blocks, block
+ * quotes, flat bulleted and numbered lists, thematic breaks, and pipe tables, with inline
+ * code spans, links, images, autolinks, emphasis, strong emphasis, and hard line breaks.
+ * Nested lists are flattened, and anything else, such as setext headings, reference links,
+ * or raw HTML, is shown as plain text.
+ *
+ * @param {string} text The content of the file.
+ * @param {string} caption The caption or title for the popup.
+ * @param {Object} format The format of the file, as returned by `getFileViewerFormat`.
+ * @param {string} baseUrl The URL of the file, used to resolve relative links in Markdown and
+ * to link to the open popup.
+ * @returns {boolean} True if the file was displayed, false otherwise.
+ */
+function openFileViewer(text, caption, format, baseUrl) {
+    const overlay = document.getElementById('modal-overlay');
+    const viewer = document.getElementById('modal-viewer');
+    if (!overlay || !viewer || !format) return false;
+
+    const content = viewer.querySelector('.viewer-content');
+    const raw = viewer.querySelector('.viewer-raw');
+    const rawToggle = viewer.querySelector('.viewer-raw-toggle');
+
+    content.innerHTML = '';
+    content.className = `viewer-content viewer-${format.type}`;
+    content.appendChild(render(text, format));
+    content.hidden = false;
+
+    raw.textContent = text;
+    raw.hidden = true;
+    rawToggle?.setAttribute('aria-pressed', 'false');
+
+    const title = document.getElementById('modal-title');
+    if (title) {
+        title.textContent = caption || '';
+    }
+
+    showModal('viewer', null, baseUrl);
+    return true;
+
+    function render(text, format) {
+        switch (format.type) {
+            case 'json':
+                return renderJson(text);
+            case 'markdown':
+                return renderMarkdown(text);
+            case 'csv':
+                return renderTable(text, ',');
+            case 'tsv':
+                return renderTable(text, '\t');
+            default:
+                return renderCode(text, format.language);
+        }
+    }
+
+    function renderCode(text, language) {
+        const pre = document.createElement('pre');
+        pre.dir = 'ltr';
+        const code = document.createElement('code');
+        code.textContent = text;
+        if (language) {
+            code.className = `language-${language}`;
+            window.Prism?.highlightElement(code);
+        }
+        pre.appendChild(code);
+        return pre;
+    }
+
+    function renderJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            return renderCode(text, 'json');
+        }
+
+        const tree = document.createElement('div');
+        tree.className = 'json-tree';
+        tree.dir = 'ltr';
+        tree.appendChild(createJsonNode(null, data, 0));
+        return tree;
+    }
+
+    function createJsonNode(key, value, depth) {
+        const isContainer = value !== null && typeof value === 'object';
+        const entries = isContainer ? Object.entries(value) : [];
+
+        if (!isContainer || entries.length === 0) {
+            const node = document.createElement('div');
+            node.className = 'json-entry';
+            appendJsonKey(node, key);
+            node.appendChild(createJsonValue(value));
+            return node;
+        }
+
+        const isArray = Array.isArray(value);
+        const node = document.createElement('details');
+        node.className = 'json-entry';
+        node.open = depth < 2;
+
+        const summary = document.createElement('summary');
+        appendJsonKey(summary, key);
+        summary.appendChild(createToken('punctuation', isArray ? '[' : '{'));
+        const count = document.createElement('span');
+        count.className = 'json-count';
+        count.textContent = getUiString(isArray ? (entries.length === 1 ? 'jsonItem' : 'jsonItems') : (entries.length === 1 ? 'jsonProperty' : 'jsonProperties'), { count: entries.length });
+        summary.appendChild(count);
+        node.appendChild(summary);
+
+        const children = document.createElement('div');
+        children.className = 'json-children';
+        entries.forEach(([childKey, childValue]) => {
+            children.appendChild(createJsonNode(isArray ? null : childKey, childValue, depth + 1));
+        });
+        node.appendChild(children);
+        node.appendChild(createToken('punctuation', isArray ? ']' : '}'));
+        return node;
+    }
+
+    function appendJsonKey(node, key) {
+        if (key === null) return;
+        node.appendChild(createToken('property', JSON.stringify(key)));
+        node.appendChild(createToken('operator', ': '));
+    }
+
+    function createJsonValue(value) {
+        if (value === null) return createToken('keyword', 'null');
+        if (Array.isArray(value)) return createToken('punctuation', '[]');
+        switch (typeof value) {
+            case 'string':
+                return createToken('string', JSON.stringify(value));
+            case 'number':
+                return createToken('number', String(value));
+            case 'boolean':
+                return createToken('boolean', String(value));
+            default:
+                return createToken('punctuation', '{}');
+        }
+    }
+
+    function createToken(type, text) {
+        const token = document.createElement('span');
+        token.className = `token ${type}`;
+        token.textContent = text;
+        return token;
+    }
+
+    function renderTable(text, delimiter) {
+        const rows = parseDelimited(text, delimiter).filter(row => row.some(cell => cell !== ''));
+        if (rows.length === 0) {
+            return renderCode(text, null);
+        }
+
+        const [headers, ...records] = rows;
+        const table = document.createElement('table');
+        table.className = 'data-table';
+
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        headers.forEach((header, column) => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = header;
+            button.addEventListener('click', () => sortTable(table, column, cell));
+            cell.appendChild(button);
+            headRow.appendChild(cell);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+
+        const body = document.createElement('tbody');
+        records.forEach(record => {
+            const row = document.createElement('tr');
+            headers.forEach((_, column) => {
+                const cell = document.createElement('td');
+                cell.textContent = record[column] ?? '';
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        return table;
+    }
+
+    function sortTable(table, column, headerCell) {
+        const ascending = headerCell.getAttribute('aria-sort') !== 'ascending';
+        table.querySelectorAll('th').forEach(cell => cell.removeAttribute('aria-sort'));
+        headerCell.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+        const body = table.tBodies[0];
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        Array.from(body.rows)
+            .sort((a, b) => {
+                const result = compareCells(a.cells[column].textContent, b.cells[column].textContent, collator);
+                return ascending ? result : -result;
+            })
+            .forEach(row => body.appendChild(row));
+    }
+
+    function compareCells(a, b, collator) {
+        const numberA = Number(a);
+        const numberB = Number(b);
+        if (a.trim() !== '' && b.trim() !== '' && !isNaN(numberA) && !isNaN(numberB)) {
+            return numberA - numberB;
+        }
+        return collator.compare(a, b);
+    }
+
+    function parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length !== 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    function renderMarkdown(text) {
+        const container = document.createElement('div');
+        container.className = 'markdown-body';
+        container.innerHTML = renderMarkdownBlocks(text.replace(/\r\n?/g, '\n').split('\n'));
+        container.querySelectorAll('pre > code[class*="language-"]').forEach(code => window.Prism?.highlightElement(code));
+        return container;
+    }
+
+    function renderMarkdownBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^\s*(```+|~~~+)\s*([\w#+.-]*)/);
+            if (fence) {
+                const code = [];
+                for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+                    code.push(lines[i]);
+                }
+                i++;
+                const language = fence[2] ? ` class="language-${escapeHtml(fence[2].toLowerCase())}"` : '';
+                html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                const quote = [];
+                for (; i < lines.length && /^\s{0,3}>/.test(lines[i]); i++) {
+                    quote.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                }
+                html.push(`<blockquote>${renderMarkdownBlocks(quote)}</blockquote>`);
+                continue;
+            }
+
+            const listMarker = /^\s{0,3}([-*+]|\d{1,9}[.)])\s+/;
+            if (listMarker.test(line)) {
+                const ordered = /\d/.test(line.match(listMarker)[1]);
+                const items = [];
+                for (; i < lines.length && lines[i].trim() !== ''; i++) {
+                    const marker = lines[i].match(listMarker);
+                    if (marker && /\d/.test(marker[1]) !== ordered) break;
+                    if (!marker && /^\s{0,3}(#|>|```|~~~)/.test(lines[i])) break;
+                    if (marker) {
+                        items.push([lines[i].substring(marker[0].length)]);
+                    } else {
+                        items[items.length - 1].push(lines[i].trim());
+                    }
+                }
+
+                const tag = ordered ? 'ol' : 'ul';
+                html.push(`<${tag}>${items.map(item => `<li>${renderInline(item.join('\n'))}</li>`).join('')}</${tag}>`);
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+                const splitRow = (row) => row.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+                const headers = splitRow(line);
+                const alignments = splitRow(lines[i + 1]).map(cell => {
+                    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                    if (cell.endsWith(':')) return 'right';
+                    if (cell.startsWith(':')) return 'left';
+                    return null;
+                });
+                const align = (index) => alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+
+                const rows = [];
+                for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim() !== ''; i++) {
+                    const cells = splitRow(lines[i]);
+                    rows.push(`<tr>${headers.map((_, index) => `<td${align(index)}>${renderInline(cells[index] || '')}</td>`).join('')}</tr>`);
+                }
+
+                html.push(`<table><thead><tr>${headers.map((header, index) => `<th${align(index)}>${renderInline(header)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`);
+                continue;
+            }
+
+            const paragraph = [];
+            for (; i < lines.length && lines[i].trim() !== ''; i++) {
+                if (paragraph.length !== 0 && /^\s{0,3}(#{1,6}\s|>|```|~~~|[-*+]\s|\d{1,9}[.)]\s)/.test(lines[i])) break;
+                paragraph.push(lines[i].trim());
+            }
+            html.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    function renderInline(text) {
+        const codeSpans = [];
+        let html = escapeHtml(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => {
+            codeSpans.push(`<code>${code.trim()}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+
+        html = html
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (_, alt, src) => `<img src="${resolveUrl(src)}" alt="${alt}">`)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (_, label, href) => `<a href="${resolveUrl(href)}">${label}</a>`)
+            .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (_, href) => `<a href="${href}">${href}</a>`)
+            .replace(/(?<![\w*])(\*\*|__)(?=\S)([\s\S]*?\S)\1(?![\w*])/g, '<strong>$2</strong>')
+            .replace(/(?<![\w*])(\*|_)(?=\S)([\s\S]*?\S)\1(?![\w*])/g, '<em>$2</em>')
+            .replace(/ {2,}\n|\\\n/g, '<br>')
+            .replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[index]);
+
+        return html;
+    }
+
+    function resolveUrl(url) {
+        const decoded = url.replace(/&amp;/g, '&');
+        try {
+            const resolved = new URL(decoded, baseUrl || window.location.href);
+            if (!['http:', 'https:', 'file:', 'mailto:'].includes(resolved.protocol)) return '#';
+            return escapeHtml(resolved.href);
+        } catch {
+            return '#';
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,273 @@
+/**
+ * Setup the image gallery of the popup modal.
+ *
+ * This function initializes the gallery controls of the popup modal. The gallery shows
+ * one image at a time, which can be zoomed with the mouse wheel or a pinch gesture and
+ * panned by dragging. The arrow keys and the on-screen buttons move between the images,
+ * following the reading direction of the page, and the toolbar offers a fit-to-window
+ * toggle and a download button.
+ *
+ * @returns {boolean} True if the gallery was set up, false otherwise.
+ */
+function setupGallery() {
+    const overlay = document.getElementById('modal-overlay');
+    if (!overlay) return false;
+
+    const gallery = document.getElementById('modal-gallery');
+    if (!gallery) return false;
+
+    const viewport = gallery.querySelector('.gallery-viewport');
+    const image = document.getElementById('modal-image');
+    const fitButton = gallery.querySelector('.gallery-fit');
+    if (!viewport || !image || !fitButton) return false;
+
+    const minScale = 0.1;
+    const maxScale = 10;
+    const zoomStep = 1.2;
+    const pointers = new Map();
+
+    let view = { scale: 1, x: 0, y: 0, fit: true };
+    let pinchDistance = 0;
+
+    gallery.querySelector('.gallery-prev')?.addEventListener('click', () => showAdjacentImage(-1));
+    gallery.querySelector('.gallery-next')?.addEventListener('click', () => showAdjacentImage(1));
+    fitButton.addEventListener('click', () => {
+        if (view.fit) {
+            zoomTo(1, viewport.clientWidth / 2, viewport.clientHeight / 2);
+        } else {
+            fitToWindow();
+        }
+    });
+
+    image.addEventListener('load', fitToWindow);
+
+    document.addEventListener('keydown', (e) => {
+        if (!overlay.classList.contains('open') || !overlay.classList.contains('gallery-mode')) return;
+        if (e.target.closest?.('button, a') && (e.key === 'Enter' || e.key === ' ')) return;
+
+        switch (getLogicalKey(e.key, gallery)) {
+            case 'ArrowLeft':
+                showAdjacentImage(-1);
+                break;
+            case 'ArrowRight':
+                showAdjacentImage(1);
+                break;
+            case '+':
+            case '=':
+                zoomTo(view.scale * zoomStep, viewport.clientWidth / 2, viewport.clientHeight / 2);
+                break;
+            case '-':
+                zoomTo(view.scale / zoomStep, viewport.clientWidth / 2, viewport.clientHeight / 2);
+                break;
+            case '0':
+                fitToWindow();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    });
+
+    viewport.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const point = getViewportPoint(e);
+        zoomTo(view.scale * (e.deltaY < 0 ? zoomStep : 1 / zoomStep), point.x, point.y);
+    }, { passive: false });
+
+    viewport.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        viewport.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, getViewportPoint(e));
+        if (pointers.size === 2) {
+            pinchDistance = getPinchDistance();
+        }
+        viewport.classList.add('dragging');
+    });
+
+    viewport.addEventListener('pointermove', (e) => {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+
+        const point = getViewportPoint(e);
+        pointers.set(e.pointerId, point);
+
+        if (pointers.size === 1) {
+            view.x += point.x - previous.x;
+            view.y += point.y - previous.y;
+            applyView();
+        } else if (pointers.size === 2) {
+            const distance = getPinchDistance();
+            const [first, second] = pointers.values();
+            if (pinchDistance > 0) {
+                zoomTo(view.scale * distance / pinchDistance, (first.x + second.x) / 2, (first.y + second.y) / 2);
+            }
+            pinchDistance = distance;
+        }
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => viewport.addEventListener(type, (e) => {
+        pointers.delete(e.pointerId);
+        pinchDistance = pointers.size === 2 ? getPinchDistance() : 0;
+        if (pointers.size === 0) {
+            viewport.classList.remove('dragging');
+        }
+    }));
+
+    window.addEventListener('resize', debounce(() => {
+        if (view.fit && overlay.classList.contains('gallery-mode')) {
+            fitToWindow();
+        }
+    }, 100));
+
+    return true;
+
+    function showAdjacentImage(offset) {
+        const state = galleryStates.get(gallery);
+        if (state) {
+            showGalleryImage(state.index + offset);
+        }
+    }
+
+    function getViewportPoint(e) {
+        const rect = viewport.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    function getPinchDistance() {
+        const [first, second] = pointers.values();
+        return Math.hypot(first.x - second.x, first.y - second.y);
+    }
+
+    function fitToWindow() {
+        const width = image.naturalWidth || 1;
+        const height = image.naturalHeight || 1;
+        const scale = Math.min(1, viewport.clientWidth / width, viewport.clientHeight / height);
+        view = {
+            scale,
+            x: (viewport.clientWidth - width * scale) / 2,
+            y: (viewport.clientHeight - height * scale) / 2,
+            fit: true
+        };
+        applyView();
+    }
+
+    function zoomTo(scale, originX, originY) {
+        scale = Math.min(maxScale, Math.max(minScale, scale));
+        const ratio = scale / view.scale;
+        view = {
+            scale,
+            x: originX - (originX - view.x) * ratio,
+            y: originY - (originY - view.y) * ratio,
+            fit: false
+        };
+        applyView();
+    }
+
+    function applyView() {
+        image.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        fitButton.setAttribute('aria-pressed', view.fit ? 'true' : 'false');
+        fitButton.textContent = getUiString(view.fit ? 'actualSize' : 'fitToWindow');
+        fitButton.title = getUiString(view.fit ? 'actualSizeHint' : 'fitToWindowHint');
+    }
+}
+
+/**
+ * The images of the gallery and the index of the displayed image, keyed by the gallery element.
+ */
+const galleryStates = new WeakMap();
+
+/**
+ * Displays a list of images in the gallery of the popup modal.
+ *
+ * Each image is described by an object with a `caption`, the file `name` used when
+ * downloading the image, and a `load` function that returns a promise resolving to the
+ * URL of the image. An optional `url` of the image file is recorded in the page URL while
+ * the image is displayed. If the page has no gallery, the image is displayed using `openPopup`.
+ *
+ * @param {Object[]} images The images to display.
+ * @param {number} index The index of the image to display first.
+ * @param {function} onClose A callback function to execute when the popup is closed.
+ */
+function openGallery(images, index, onClose) {
+    if (!images || images.length === 0) return;
+
+    const overlay = document.getElementById('modal-overlay');
+    const gallery = document.getElementById('modal-gallery');
+    if (!overlay || !gallery) {
+        images[index].load().then(src => openPopup(src, images[index].caption, onClose, images[index].url));
+        return;
+    }
+
+    galleryStates.set(gallery, { images, index: -1 });
+    showModal('gallery', onClose);
+
+    gallery.classList.toggle('single-image', images.length === 1);
+    showGalleryImage(index);
+}
+
+/**
+ * Displays an image of the gallery in the popup modal.
+ *
+ * The index wraps around, so that moving past the last image displays the first one
+ * and vice versa.
+ *
+ * @param {number} index The index of the image to display.
+ */
+function showGalleryImage(index) {
+    const gallery = document.getElementById('modal-gallery');
+    const state = gallery ? galleryStates.get(gallery) : null;
+    const images = state?.images;
+    if (!images || images.length === 0) return;
+
+    index = (index + images.length) % images.length;
+    if (index === state.index) return;
+    state.index = index;
+
+    const entry = images[index];
+    if (entry.url) {
+        updatePopupLocation(entry.url);
+    }
+
+    const title = document.getElementById('modal-title');
+    if (title) {
+        title.textContent = entry.caption || '';
+    }
+
+    const position = gallery.querySelector('.gallery-position');
+    if (position) {
+        position.textContent = getUiString('imagePosition', { index: index + 1, count: images.length });
+    }
+
+    const image = document.getElementById('modal-image');
+    const download = gallery.querySelector('.gallery-download');
+    image.alt = entry.caption || '';
+    gallery.classList.add('loading');
+
+    const isDisplayed = () => galleryStates.get(gallery) === state && state.index === index;
+    entry.load().then(src => {
+        if (!isDisplayed()) return;
+        image.src = src;
+        if (download) {
+            download.href = src;
+            download.download = entry.name || '';
+        }
+    }).finally(() => {
+        if (isDisplayed()) {
+            gallery.classList.remove('loading');
+        }
+    });
+}
+
+/**
+ * Clears the gallery of the popup modal.
+ *
+ * This function forgets the images of the gallery and removes the displayed image, so
+ * that the gallery is empty when the popup is opened again.
+ */
+function clearGallery() {
+    const gallery = document.getElementById('modal-gallery');
+    if (!gallery) return;
+
+    galleryStates.delete(gallery);
+    document.getElementById('modal-image')?.removeAttribute('src');
+}
\ No newline at end of file
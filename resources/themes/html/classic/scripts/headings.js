@@ -0,0 +1,62 @@
+/**
+ * Setup heading permalinks.
+ *
+ * This function assigns stable ids derived from the heading text to the headings of the
+ * article and adds an anchor to each heading that copies the permalink of the section to
+ * the clipboard.
+ *
+ * @returns {boolean} True if heading permalinks were set up, false otherwise.
+ */
+function setupHeadingPermalinks() {
+    const content = document.getElementById('article');
+    if (!content) return false;
+
+    const headings = Array.from(content.querySelectorAll('h2, h3, h4, h5, h6'));
+    const feedbackDuration = 2000;
+
+    headings.forEach(heading => {
+        assignHeadingId(heading);
+        if (!heading.querySelector(':scope > .heading-anchor')) {
+            heading.appendChild(createAnchor(heading));
+        }
+    });
+
+    return headings.length !== 0;
+
+    function createAnchor(heading) {
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = `#${heading.id}`;
+        anchor.title = getUiString('copySectionLink');
+        anchor.setAttribute('aria-label', getUiString('copySectionLinkNamed', { title: heading.textContent.trim() }));
+
+        const icon = document.createElement('span');
+        icon.className = 'icon icon-link';
+        icon.setAttribute('aria-hidden', 'true');
+        anchor.appendChild(icon);
+
+        anchor.addEventListener('click', (e) => {
+            e.preventDefault();
+
+            const url = new URL(window.location.href);
+            url.hash = heading.id;
+            window.history.replaceState(window.history.state, '', url.href);
+            scrollArticleTo(heading, 'smooth');
+
+            copyToClipboard(url.href)
+                .then(() => showFeedback(anchor))
+                .catch(() => { });
+        });
+
+        return anchor;
+    }
+
+    function showFeedback(anchor) {
+        anchor.classList.add('copied');
+        anchor.title = getUiString('linkCopied');
+        setTimeout(() => {
+            anchor.classList.remove('copied');
+            anchor.title = getUiString('copySectionLink');
+        }, feedbackDuration);
+    }
+}
\ No newline at end of file
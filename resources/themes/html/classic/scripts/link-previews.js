@@ -0,0 +1,210 @@
+/**
+ * Setup preview cards for API links.
+ *
+ * This function shows a small card with the kind, signature and summary of the target
+ * when the user hovers over or focuses a link to an API documentation page. The content
+ * of the card is taken from the target page, which is loaded in the background the first
+ * time it is needed and cached afterwards. The card can be dismissed by pressing Escape.
+ * Preview cards are disabled on devices without hover capability and for pages loaded
+ * from the local file system.
+ *
+ * @returns {boolean} True if link previews were set up, false otherwise.
+ */
+function setupLinkPreviews() {
+    if (window.location.protocol === 'file:') return false;
+    if (!window.matchMedia('(any-hover: hover)').matches) return false;
+
+    const showDelay = 400;
+    const hideDelay = 200;
+    const previews = new Map();
+
+    const card = document.createElement('div');
+    card.id = 'link-preview';
+    card.className = 'link-preview hidden';
+    card.setAttribute('role', 'tooltip');
+    document.body.appendChild(card);
+
+    let activeLink = null;
+    let showTimeout = null;
+    let hideTimeout = null;
+
+    document.addEventListener('pointerover', (e) => {
+        if (e.pointerType !== 'mouse') return;
+
+        const link = e.target.closest('a.api-link');
+        if (link) {
+            schedulePreview(link);
+        } else if (card.contains(e.target)) {
+            clearTimeout(hideTimeout);
+        }
+    });
+
+    document.addEventListener('pointerout', (e) => {
+        if (e.pointerType !== 'mouse') return;
+
+        const target = e.target.closest('a.api-link') || (card.contains(e.target) ? card : null);
+        if (target && !target.contains(e.relatedTarget)) {
+            scheduleHide();
+        }
+    });
+
+    document.addEventListener('focusin', (e) => {
+        const link = e.target.closest?.('a.api-link');
+        if (link && link.matches(':focus-visible')) {
+            schedulePreview(link);
+        }
+    });
+
+    document.addEventListener('focusout', (e) => {
+        if (e.target.closest?.('a.api-link')) {
+            scheduleHide();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && activeLink) {
+            hidePreview();
+        }
+    });
+
+    document.addEventListener('kampose:page-change', hidePreview);
+
+    return true;
+
+    function schedulePreview(link) {
+        clearTimeout(hideTimeout);
+        if (link === activeLink) return;
+
+        clearTimeout(showTimeout);
+        showTimeout = setTimeout(() => showPreview(link), showDelay);
+    }
+
+    function scheduleHide() {
+        clearTimeout(showTimeout);
+        clearTimeout(hideTimeout);
+        hideTimeout = setTimeout(hidePreview, hideDelay);
+    }
+
+    function showPreview(link) {
+        loadPreview(link)
+            .then(preview => {
+                if (!preview || !link.isConnected) return;
+                if (!link.matches(':hover') && document.activeElement !== link) return;
+
+                hidePreview();
+                renderCard(link, preview);
+                activeLink = link;
+                link.setAttribute('aria-describedby', card.id);
+                card.classList.remove('hidden');
+                positionCard(link);
+            })
+            .catch(() => { });
+    }
+
+    function hidePreview() {
+        clearTimeout(showTimeout);
+        clearTimeout(hideTimeout);
+        if (!activeLink) return;
+
+        activeLink.removeAttribute('aria-describedby');
+        activeLink = null;
+        card.classList.add('hidden');
+    }
+
+    function loadPreview(link) {
+        const url = new URL(link.href);
+        url.hash = '';
+
+        if (!previews.has(url.href)) {
+            previews.set(url.href, fetch(url.href)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to load ${url.href}`);
+                    return response.text();
+                })
+                .then(html => parsePreview(new DOMParser().parseFromString(html, 'text/html')))
+                .catch(error => {
+                    previews.delete(url.href);
+                    throw error;
+                }));
+        }
+
+        return previews.get(url.href);
+    }
+
+    function parsePreview(page) {
+        const article = page.getElementById('article');
+        if (!article) return null;
+
+        const summary = article.querySelector('.doc-summary');
+        const signature = summary?.nextElementSibling?.matches('pre') ? summary.nextElementSibling.querySelector('code') : null;
+
+        return {
+            title: article.querySelector('h1')?.textContent.trim() || page.title,
+            summary: summary?.textContent.replace(/\s+/g, ' ').trim() || null,
+            signature: signature?.textContent.trim() || null,
+            language: signature ? Array.from(signature.classList).find(name => name.startsWith('language-')) : null
+        };
+    }
+
+    function renderCard(link, preview) {
+        card.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'link-preview-header';
+
+        const kind = document.createElement('span');
+        kind.className = 'link-preview-kind';
+        kind.textContent = getKindTitle(link.dataset.kind);
+        header.appendChild(kind);
+
+        const title = document.createElement('span');
+        title.className = 'link-preview-title';
+        title.textContent = preview.title;
+        header.appendChild(title);
+
+        card.appendChild(header);
+
+        if (preview.signature) {
+            const pre = document.createElement('pre');
+            pre.dir = 'ltr';
+            const code = document.createElement('code');
+            code.textContent = preview.signature;
+            if (preview.language) {
+                code.className = preview.language;
+                window.Prism?.highlightElement(code);
+            }
+            pre.appendChild(code);
+            card.appendChild(pre);
+        }
+
+        if (preview.summary) {
+            const summary = document.createElement('p');
+            summary.className = 'link-preview-summary';
+            summary.textContent = preview.summary;
+            card.appendChild(summary);
+        }
+    }
+
+    function getKindTitle(kind) {
+        const key = `${kind}Kind`;
+        const title = getUiString(key);
+        return title !== key ? title : kind;
+    }
+
+    function positionCard(link) {
+        const margin = 8;
+        const linkRect = link.getBoundingClientRect();
+        const cardRect = card.getBoundingClientRect();
+
+        let top = linkRect.bottom + margin;
+        if (top + cardRect.height > window.innerHeight && linkRect.top - margin - cardRect.height > 0) {
+            top = linkRect.top - margin - cardRect.height;
+        }
+
+        const maxLeft = document.documentElement.clientWidth - cardRect.width - margin;
+        const left = Math.max(margin, Math.min(linkRect.left, maxLeft));
+
+        card.style.top = `${top + window.scrollY}px`;
+        card.style.left = `${left + window.scrollX}px`;
+    }
+}
\ No newline at end of file
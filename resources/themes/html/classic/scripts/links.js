@@ -1,13 +1,21 @@
 /**
  * Setup link behaviors.
  *
- * This function initializes link behaviors, such as marking external links and
- * setting up popups for link to text and image files.
+ * This function initializes link behaviors, such as marking external links,
+ * setting up popups for link to text and image files, and marking links of the article
+ * that refer to API documentation pages, so that they can show preview cards. Popup
+ * links to images of the same article are displayed together in an image gallery.
+ *
+ * @param {ParentNode} root The element whose links should be set up, or the whole document by default.
  */
-function setupLinks() {
+function setupLinks(root = document) {
     const origin = window.location.origin;
-    const links = document.querySelectorAll('a');
+    const links = root.querySelectorAll('a');
     const popupAssetNames = (window.kampose.config.popupAssetNames || []).map(name => name.toLowerCase());
+    const baseUrl = resolveBaseUrl(document.getElementById('site-navigation') || document.getElementById('menubar'));
+    const popupResetDelay = 300;
+
+    let apiKinds = null;
 
     links.forEach(link => {
         if (!link.href) {
@@ -20,13 +28,23 @@ function setupLinks() {
             link.classList.add('external-link');
         } else if (isPopupFileType(url.pathname, popupAssetNames)) {
             link.classList.add('popup-link');
+        } else if (link.closest('#article') && url.pathname !== window.location.pathname) {
+            const kind = getApiKind(url);
+            if (kind) {
+                link.classList.add('api-link');
+                link.dataset.kind = kind;
+            }
         }
     });
 
-    document.querySelectorAll('.popup-link').forEach(link => {
+    root.querySelectorAll('.popup-link').forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
-            openLinkInPopup(link.href);
+            if (isImageFile(link.href)) {
+                openImageGallery(link);
+            } else {
+                openLinkInPopup(link.href);
+            }
         });
     });
 
@@ -50,23 +68,106 @@ function setupLinks() {
         return false;
     }
 
+    function getApiKind(url) {
+        if (!url.href.startsWith(baseUrl)) {
+            return null;
+        }
+
+        if (!apiKinds) {
+            apiKinds = new Map();
+            const collectKinds = (items) => {
+                items.forEach(item => {
+                    if (item.url && item.kind && item.kind !== 'topic') {
+                        apiKinds.set(item.url, item.kind);
+                    }
+                    if (item.items) {
+                        collectKinds(item.items);
+                    }
+                });
+            };
+            collectKinds(window.kampose.sitemap || []);
+        }
+
+        const path = (url.origin + url.pathname).substring(baseUrl.length);
+        return apiKinds.get(path) || apiKinds.get(decodeURI(path)) || null;
+    }
+
+    function isImageFile(href) {
+        return /\.(png|jpe?g|gif|webp|avif|bmp|svg)$/i.test(new URL(href).pathname);
+    }
+
+    function openImageGallery(link) {
+        const container = link.closest('#article') || document;
+        let links = Array.from(container.querySelectorAll('a.popup-link')).filter(other => isImageFile(other.href));
+        if (!links.includes(link)) {
+            links = [link];
+        }
+
+        const imageUrls = new Map();
+        const images = links.map(other => {
+            const name = decodeURIComponent(new URL(other.href).pathname.split('/').pop());
+            return {
+                name,
+                url: other.href,
+                caption: other.textContent.trim() || other.querySelector('img')?.alt || name,
+                load: () => loadImage(other.href)
+            };
+        });
+
+        // The popup keeps showing the current image until it is reset after its closing transition.
+        openGallery(images, links.indexOf(link), () => setTimeout(() => {
+            imageUrls.forEach(promise => promise.then(url => {
+                if (url.startsWith('blob:')) {
+                    URL.revokeObjectURL(url);
+                }
+            }));
+        }, popupResetDelay));
+
+        function loadImage(href) {
+            if (!imageUrls.has(href)) {
+                imageUrls.set(href, fetch(href)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`Failed to load ${href}`);
+                        return response.blob();
+                    })
+                    .then(blob => URL.createObjectURL(blob))
+                    .catch(() => href));
+            }
+            return imageUrls.get(href);
+        }
+    }
+
     function openLinkInPopup(href) {
         const url = new URL(href);
         const title = url.pathname.split('/').pop();
+        const textSizeLimit = window.kampose.config.popupTextSizeLimit ?? 16384;
 
         fetch(href)
             .then(response => response.blob())
             .then(async blob => {
                 const mimeType = blob.type || '';
 
+                // Render known text formats, such as JSON, Markdown, CSV and source code, in the file viewer
+                const format = getFileViewerFormat(decodeURIComponent(title), mimeType);
+                if (format && blob.size <= textSizeLimit) {
+                    try {
+                        const text = await blob.text();
+                        if (!text.includes('\0') && openFileViewer(text, title, format, href)) {
+                            return;
+                        }
+                    } catch {
+                        // Ignore conversion errors
+                    }
+                }
+
                 let isDisplayable = mimeType.startsWith('image/') || [
                     'text/plain',
                     'application/pdf',
                     'application/svg+xml'
                 ].includes(mimeType);
 
-                // Attempt to display small files as text (max. 16 KiB)
-                if (!isDisplayable && blob.size <= 16384) {
+                // Attempt to display small files as text
+                if (!isDisplayable && blob.size <= textSizeLimit) {
                     try {
                         const text = await blob.text();
                         // Heuristic: check for null bytes to avoid obvious binary files.
@@ -82,7 +183,7 @@ function setupLinks() {
 
                 if (isDisplayable) {
                     const blobUrl = URL.createObjectURL(blob);
-                    openPopup(blobUrl, title, () => URL.revokeObjectURL(blobUrl));
+                    openPopup(blobUrl, title, () => URL.revokeObjectURL(blobUrl), href);
                 } else {
                     window.location.href = href;
                 }
@@ -1,18 +1,60 @@
 ﻿(function () {
     'use strict';
 
+    const kampose = window.kampose;
+    kampose.utils = getThemeUtilities();
+    kampose.components = createComponentRegistry({
+        config: kampose.config,
+        sitemap: kampose.sitemap,
+        utils: kampose.utils
+    });
+
+    loadUiStrings();
+    setupPublicApi();
     applyColorMode(retrieveFromLocalStorage('color-mode'));
 
+    window.addEventListener('storage', (e) => {
+        if (e.key === 'color-mode') {
+            applyColorMode(e.newValue);
+        }
+    });
+
+    kampose.components
+        .register('color-mode-selector', setupColorModeSelector, { stage: 'frame' })
+        .register('menu-bar', setupMenuBar, { stage: 'frame' })
+        .register('version-switcher', setupVersionSwitcher, { stage: 'frame' })
+        .register('site-navigation', setupSiteNavigation, { stage: 'frame' })
+        .register('page-lists', setupPageLists, { stage: 'frame' })
+        .register('heading-permalinks', setupHeadingPermalinks, { stage: 'frame', perPage: true })
+        .register('article-navigation', setupArticleNavigation, { stage: 'frame', perPage: true })
+        .register('member-filter', setupMemberFilter, { stage: 'frame', perPage: true })
+        .register('member-details', setupMemberDetails, { stage: 'frame', perPage: true })
+        .register('breadcrumb-ellipsis', setupBreadcrumbEllipsis, { stage: 'frame', perPage: true })
+        .register('full-text-search', setupFullTextSearch)
+        .register('links', ({ roots }) => (roots || [document]).forEach(root => setupLinks(root)), { perPage: true })
+        .register('link-previews', setupLinkPreviews)
+        .register('code-lines', setupCodeLines, { perPage: true })
+        .register('code-blocks', setupCodeBlocks, { perPage: true })
+        .register('code-tabs', setupCodeTabs, { perPage: true })
+        .register('popup', setupPopup)
+        .register('gallery', setupGallery)
+        .register('file-viewer', setupFileViewer)
+        .register('client-navigation', setupClientNavigation)
+        .register('offline-reading', setupOfflineReading);
+
     document.addEventListener('DOMContentLoaded', () => {
+        localizeElements(document);
+        document.dispatchEvent(new CustomEvent('kampose:init', { detail: { components: kampose.components } }));
+
         requestAnimationFrame(() => {
-            setupColorModeSelector();
-            setupMenuBar();
-            setupSiteNavigation();
-            setupArticleNavigation();
-            setupBreadcrumbEllipsis();
+            kampose.components.initialize('frame');
+            scrollToUrlHash();
+            window.addEventListener('hashchange', () => scrollToUrlHash('smooth'));
+
+            kampose.isReady = true;
+            document.dispatchEvent(new CustomEvent('kampose:ready'));
         });
 
-        setupLinks();
-        setupPopup();
+        kampose.components.initialize('content');
     });
 })();
@@ -0,0 +1,123 @@
+/**
+ * Setup disclosure of member details.
+ *
+ * This function makes the details of each member card of the article collapsible, and adds
+ * a control to expand or collapse all of them at once. The choice made with this control is
+ * stored in local storage for persistence across sessions. Until a choice is made, the
+ * members are expanded if the article has the `has-expanded-members` class, which in turn
+ * tells whether all members are currently expanded. A member targeted by the URL hash is
+ * always expanded.
+ *
+ * @param {Object} [context] The setup context of the component.
+ * @param {Element[]} [context.roots] The replaced content, if the component is set up again.
+ * @returns {boolean} True if member details were set up, false otherwise.
+ */
+function setupMemberDetails({ roots } = {}) {
+    if (!roots) {
+        window.addEventListener('hashchange', () => expandTarget());
+    }
+
+    const article = document.getElementById('article');
+    if (!article) return false;
+
+    const cards = Array.from(article.querySelectorAll('section.type-member'))
+        .filter(card => !card.querySelector(':scope > .type-member-body'));
+
+    if (cards.length === 0) return false;
+
+    const toggles = cards.map(createDisclosure).filter(toggle => toggle);
+    if (toggles.length === 0) return false;
+
+    const toggleAll = createToggleAll();
+    const storedState = retrieveFromLocalStorage('member-details');
+    setAllExpanded(storedState ? storedState === 'expanded' : article.classList.contains('has-expanded-members'));
+
+    expandTarget();
+    return true;
+
+    function createDisclosure(card, index) {
+        const heading = card.querySelector(':scope > h1, :scope > h2, :scope > h3, :scope > h4, :scope > h5, :scope > h6');
+        if (!heading) return null;
+
+        const body = document.createElement('div');
+        body.className = 'type-member-body';
+        body.id = `${heading.id || `member-${index}`}-details`;
+        while (heading.nextSibling) {
+            body.appendChild(heading.nextSibling);
+        }
+        card.appendChild(body);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'member-toggle';
+        button.setAttribute('aria-controls', body.id);
+        button.setAttribute('aria-label', getUiString('memberDetails', { name: heading.textContent.trim() }));
+        button.addEventListener('click', () => {
+            setExpanded(button, button.getAttribute('aria-expanded') !== 'true');
+            updateToggleAll();
+        });
+        heading.insertBefore(button, heading.firstChild);
+
+        return button;
+    }
+
+    function createToggleAll() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'member-toggle-all';
+        button.setAttribute('aria-controls', toggles.map(toggle => toggle.getAttribute('aria-controls')).join(' '));
+        button.addEventListener('click', () => {
+            const expanded = button.getAttribute('aria-expanded') !== 'true';
+            setAllExpanded(expanded);
+            storeInLocalStorage('member-details', expanded ? 'expanded' : 'collapsed');
+        });
+
+        const filterBar = article.querySelector('.member-filter');
+        if (filterBar) {
+            filterBar.insertBefore(button, filterBar.querySelector('.member-filter-status'));
+        } else {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'member-details-toolbar';
+            toolbar.appendChild(button);
+
+            const firstCard = cards[0];
+            const groupHeading = firstCard.previousElementSibling;
+            const anchor = groupHeading && /^H[1-6]$/.test(groupHeading.tagName) ? groupHeading : firstCard;
+            anchor.parentElement.insertBefore(toolbar, anchor);
+        }
+
+        return button;
+    }
+
+    function setExpanded(toggle, expanded) {
+        toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        const body = document.getElementById(toggle.getAttribute('aria-controls'));
+        if (body) {
+            body.hidden = !expanded;
+            body.parentElement.classList.toggle('collapsed', !expanded);
+        }
+    }
+
+    function setAllExpanded(expanded) {
+        toggles.forEach(toggle => setExpanded(toggle, expanded));
+        updateToggleAll();
+    }
+
+    function updateToggleAll() {
+        const allExpanded = toggles.every(toggle => toggle.getAttribute('aria-expanded') === 'true');
+        toggleAll.setAttribute('aria-expanded', allExpanded ? 'true' : 'false');
+        article.classList.toggle('has-expanded-members', allExpanded);
+        toggleAll.textContent = getUiString(allExpanded ? 'collapseAll' : 'expandAll');
+    }
+
+    function expandTarget() {
+        if (window.location.hash.length <= 1) return null;
+
+        const target = document.getElementById(decodeURIComponent(window.location.hash.substring(1)));
+        const toggle = target?.closest('section.type-member')?.querySelector('.member-toggle');
+        if (toggle && toggle.getAttribute('aria-expanded') !== 'true') {
+            toggle.click();
+        }
+        return target;
+    }
+}
\ No newline at end of file
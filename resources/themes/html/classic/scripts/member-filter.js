@@ -0,0 +1,288 @@
+/**
+ * Setup member filtering on type pages.
+ *
+ * This function adds a filter bar above the members of class, struct, and interface pages.
+ * The filter bar narrows the member lists by member kind, declared or inherited members,
+ * static or instance members, and obsolete members, and by a text that must appear in the
+ * member names. Member sections without any visible member are hidden together with their
+ * entries in the article navigation. The state of the filter is kept in the query of the
+ * page URL, so that a filtered view can be bookmarked and shared.
+ *
+ * @returns {boolean} True if member filtering was set up, false otherwise.
+ */
+function setupMemberFilter() {
+    const article = document.getElementById('article');
+    if (!article || !article.matches('.is-class, .is-struct, .is-interface')) return false;
+    if (article.querySelector('.member-filter')) return false;
+
+    const groupIds = [
+        'constructors',
+        'fields',
+        'properties',
+        'methods',
+        'events',
+        'operators',
+        'explicit-interface-implementations'
+    ];
+
+    const groups = groupIds
+        .map(id => article.querySelector(`:scope > #${id}`))
+        .filter(heading => heading)
+        .map(createGroup)
+        .filter(group => group.rows.length > 0);
+
+    if (groups.length === 0) return false;
+
+    const rows = groups.flatMap(group => group.rows);
+    const filter = readFilterState();
+
+    const bar = createFilterBar();
+    groups[0].heading.parentElement.insertBefore(bar, groups[0].heading);
+
+    applyFilter();
+    return true;
+
+    function createGroup(heading) {
+        const elements = [];
+        for (let sibling = heading.nextElementSibling; sibling && !isHeadingOf(sibling, heading); sibling = sibling.nextElementSibling) {
+            elements.push(sibling);
+        }
+
+        const rows = elements.flatMap(element => {
+            if (element.matches('section.type-member')) return [element];
+            if (element.matches('table.summary-list')) return Array.from(element.querySelectorAll(':scope > tbody > tr'));
+            return [];
+        }).map(element => ({
+            element,
+            name: getMemberName(element).toLowerCase(),
+            isInherited: element.classList.contains('is-inherited'),
+            isStatic: element.classList.contains('is-static'),
+            isObsolete: element.classList.contains('is-obsolete')
+        }));
+
+        return { id: heading.id, title: heading.textContent.trim(), heading, elements, rows };
+    }
+
+    function isHeadingOf(element, heading) {
+        return /^H[1-6]$/.test(element.tagName) && parseInt(element.tagName[1], 10) <= parseInt(heading.tagName[1], 10);
+    }
+
+    function getMemberName(element) {
+        const label = element.matches('section')
+            ? element.querySelector(':scope > h1, :scope > h2, :scope > h3, :scope > h4, :scope > h5, :scope > h6')
+            : element.querySelector(':scope > td');
+        return (label || element).textContent.trim();
+    }
+
+    function readFilterState() {
+        const params = new URLSearchParams(window.location.search);
+        const kinds = (params.get('kinds') || '').split(',').filter(id => groups.some(group => group.id === id));
+        return {
+            text: params.get('filter') || '',
+            kinds: new Set(kinds.length > 0 ? kinds : groups.map(group => group.id)),
+            origin: ['declared', 'inherited'].includes(params.get('origin')) ? params.get('origin') : '',
+            binding: ['static', 'instance'].includes(params.get('binding')) ? params.get('binding') : '',
+            hideObsolete: params.get('obsolete') === 'hide'
+        };
+    }
+
+    function writeFilterState() {
+        const url = new URL(window.location.href);
+        const kinds = groups.filter(group => filter.kinds.has(group.id)).map(group => group.id);
+
+        setParam(url, 'filter', filter.text.trim());
+        setParam(url, 'kinds', kinds.length < groups.length ? kinds.join(',') : '');
+        setParam(url, 'origin', filter.origin);
+        setParam(url, 'binding', filter.binding);
+        setParam(url, 'obsolete', filter.hideObsolete ? 'hide' : '');
+
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
+
+    function setParam(url, name, value) {
+        if (value) {
+            url.searchParams.set(name, value);
+        } else {
+            url.searchParams.delete(name);
+        }
+    }
+
+    function createFilterBar() {
+        const bar = document.createElement('div');
+        bar.className = 'member-filter';
+        bar.setAttribute('role', 'search');
+        bar.setAttribute('aria-label', getUiString('filterMembers'));
+
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'member-filter-text';
+        input.placeholder = getUiString('filterMembers');
+        input.setAttribute('aria-label', getUiString('filterMembersByName'));
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.value = filter.text;
+        input.addEventListener('input', debounce(() => {
+            filter.text = input.value;
+            update();
+        }, 150));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && input.value) {
+                e.preventDefault();
+                e.stopPropagation();
+                input.value = filter.text = '';
+                update();
+            }
+        });
+        bar.appendChild(input);
+
+        if (groups.length > 1) {
+            const kinds = document.createElement('div');
+            kinds.className = 'member-filter-kinds';
+            kinds.setAttribute('role', 'group');
+            kinds.setAttribute('aria-label', getUiString('memberKinds'));
+            groups.forEach(group => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = group.title;
+                button.dataset.kind = group.id;
+                button.setAttribute('aria-pressed', filter.kinds.has(group.id) ? 'true' : 'false');
+                button.addEventListener('click', () => {
+                    if (filter.kinds.has(group.id)) {
+                        filter.kinds.delete(group.id);
+                    } else {
+                        filter.kinds.add(group.id);
+                    }
+                    if (filter.kinds.size === 0) {
+                        groups.forEach(other => filter.kinds.add(other.id));
+                    }
+                    kinds.querySelectorAll('button').forEach(other => {
+                        other.setAttribute('aria-pressed', filter.kinds.has(other.dataset.kind) ? 'true' : 'false');
+                    });
+                    update();
+                });
+                kinds.appendChild(button);
+            });
+            bar.appendChild(kinds);
+        }
+
+        if (rows.some(row => row.isInherited) && rows.some(row => !row.isInherited)) {
+            bar.appendChild(createChoice(getUiString('declaration'), 'origin', [
+                ['', getUiString('declaredAndInherited')],
+                ['declared', getUiString('declaredOnly')],
+                ['inherited', getUiString('inheritedOnly')]
+            ]));
+        }
+
+        if (rows.some(row => row.isStatic) && rows.some(row => !row.isStatic)) {
+            bar.appendChild(createChoice(getUiString('binding'), 'binding', [
+                ['', getUiString('staticAndInstance')],
+                ['static', getUiString('staticOnly')],
+                ['instance', getUiString('instanceOnly')]
+            ]));
+        }
+
+        if (rows.some(row => row.isObsolete)) {
+            const label = document.createElement('label');
+            label.className = 'member-filter-obsolete';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = filter.hideObsolete;
+            checkbox.addEventListener('change', () => {
+                filter.hideObsolete = checkbox.checked;
+                update();
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${getUiString('hideObsolete')}`));
+            bar.appendChild(label);
+        }
+
+        const status = document.createElement('span');
+        status.className = 'member-filter-status';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        bar.appendChild(status);
+
+        return bar;
+    }
+
+    function createChoice(label, property, options) {
+        const select = document.createElement('select');
+        select.className = `member-filter-${property}`;
+        select.setAttribute('aria-label', label);
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            option.selected = filter[property] === value;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            filter[property] = select.value;
+            update();
+        });
+        return select;
+    }
+
+    function update() {
+        applyFilter();
+        writeFilterState();
+    }
+
+    function applyFilter() {
+        const terms = filter.text.toLowerCase().split(/\s+/).filter(term => term);
+        const navItems = getNavigationItems();
+
+        let visibleCount = 0;
+        groups.forEach(group => {
+            const isGroupShown = filter.kinds.has(group.id);
+
+            let groupCount = 0;
+            group.rows.forEach(row => {
+                const isShown = isGroupShown && matches(row, terms);
+                row.element.hidden = !isShown;
+                if (isShown) groupCount++;
+            });
+
+            group.heading.hidden = groupCount === 0;
+            group.elements.forEach(element => {
+                if (!group.rows.some(row => row.element === element)) {
+                    element.hidden = groupCount === 0;
+                }
+            });
+
+            navItems.get(group.id)?.toggleAttribute('hidden', groupCount === 0);
+            group.rows.forEach(row => {
+                const id = row.element.getAttribute('aria-labelledby');
+                if (id) {
+                    navItems.get(id)?.toggleAttribute('hidden', row.element.hidden);
+                }
+            });
+
+            visibleCount += groupCount;
+        });
+
+        const status = bar.querySelector('.member-filter-status');
+        status.textContent = visibleCount === rows.length
+            ? getUiString(rows.length === 1 ? 'memberCount' : 'memberCounts', { count: rows.length })
+            : visibleCount === 0 ? getUiString('noMatchingMembers') : getUiString('filteredMemberCount', { visible: visibleCount, count: rows.length });
+    }
+
+    function matches(row, terms) {
+        if (filter.origin === 'declared' && row.isInherited) return false;
+        if (filter.origin === 'inherited' && !row.isInherited) return false;
+        if (filter.binding === 'static' && !row.isStatic) return false;
+        if (filter.binding === 'instance' && row.isStatic) return false;
+        if (filter.hideObsolete && row.isObsolete) return false;
+        return terms.every(term => row.name.includes(term));
+    }
+
+    function getNavigationItems() {
+        const items = new Map();
+        document.getElementById('article-navigation')?.querySelectorAll('a[href^="#"]').forEach(link => {
+            items.set(decodeURIComponent(link.getAttribute('href').substring(1)), link.parentElement);
+        });
+        return items;
+    }
+}
\ No newline at end of file
@@ -18,17 +18,41 @@ function setupMenuBar() {
 
     if (items.length === 0) return false;
 
-    const baseUrl = menuBar.getAttribute('data-base-url') || '';
+    insertMenuItems(menuBar, items);
+    return true;
+}
+
+/**
+ * Insert items into the menu bar.
+ *
+ * This function builds the menu items from their definitions and inserts them into the
+ * menu bar, after the items inserted before and ahead of the built-in items such as the
+ * color mode selector. If an element in the items or the sub-items array is asterisk (*)
+ * instead of an object, it will be replaced with the documentation topics from the
+ * sitemap.
+ *
+ * @param {Element} menuBar The menu bar element.
+ * @param {Array} items The definitions of the menu items.
+ */
+function insertMenuItems(menuBar, items) {
+    const baseUrl = resolveBaseUrl(menuBar);
     const menuItems = buildMenuItems(items, baseUrl);
+    const dropdowns = menuItems.querySelectorAll('.has-submenu');
 
     const existingMenuItems = menuBar.querySelector('.menu');
-    if (existingMenuItems) {
-        existingMenuItems.prepend(...menuItems.children);
-    } else {
+    if (!existingMenuItems) {
+        menuItems.appendChild(menuBar.customItemsEnd = buildMenuDivider());
         menuBar.appendChild(menuItems);
+    } else {
+        if (!menuBar.customItemsEnd?.isConnected) {
+            const firstItem = existingMenuItems.firstElementChild;
+            menuBar.customItemsEnd = firstItem?.classList.contains('divider') ? firstItem : buildMenuDivider();
+            existingMenuItems.prepend(menuBar.customItemsEnd);
+        }
+        menuBar.customItemsEnd.before(...menuItems.children);
     }
 
-    return true;
+    dropdowns.forEach(dropdown => activateDropdown(dropdown));
 
     function buildMenuItems(items, baseUrl) {
         const menuList = document.createElement('ul');
@@ -71,7 +95,9 @@ function setupMenuBar() {
         menuItem.className = 'menu-item';
 
         const link = document.createElement('a');
-        link.href = item.url ? (isRelativeUrl(item.url) ? baseUrl + item.url : item.url) : null;
+        if (item.url) {
+            link.href = isRelativeUrl(item.url) ? baseUrl + item.url : item.url;
+        }
         link.textContent = item.title;
 
         menuItem.appendChild(link);
@@ -82,7 +108,6 @@ function setupMenuBar() {
             menuItem.setAttribute('aria-expanded', 'false');
             menuItem.classList.add('has-submenu');
             menuItem.appendChild(submenu);
-            activateDropdown(menuItem);
         }
 
         return menuItem;
@@ -2,7 +2,13 @@
  * Setup the popup modal.
  *
  * This function initializes the popup modal, allowing it to display content
- * in an overlay.
+ * in an overlay. While the popup is open, the rest of the page is made inert and
+ * keyboard focus is kept inside the popup. When the popup closes, focus returns to
+ * the element that opened it.
+ *
+ * The open popup has an entry in the browser history, so the Back button closes it,
+ * and the `popup` query parameter of the page URL names the asset it displays. When
+ * the page is loaded with this parameter, the popup of the matching link is opened.
  *
  * @returns {boolean} True if the popup was set up, false otherwise.
  */
@@ -13,29 +19,63 @@ function setupPopup() {
     overlay.onclick = function (e) {
         if (e.target === overlay) {
             e.preventDefault();
-            closePopup();
+            requestClose();
         }
     };
 
     const closeButton = document.getElementById('modal-close');
     if (closeButton) {
-        closeButton.onclick = closePopup;
+        closeButton.onclick = requestClose;
     }
 
     document.addEventListener('keydown', e => {
-        if (e.key === 'Escape' && overlay.classList.contains('open')) {
+        if (!overlay.classList.contains('open')) return;
+
+        if (e.key === 'Escape') {
             e.preventDefault();
+            requestClose();
+        } else if (e.key === 'Tab') {
+            trapFocus(e);
+        }
+    });
+
+    window.addEventListener('popstate', () => {
+        const isOpen = overlay.classList.contains('open');
+        if (isOpen && !window.history.state?.popup) {
             closePopup();
+        } else if (!isOpen && window.history.state?.popup) {
+            openLinkedPopup();
         }
     });
 
+    openLinkedPopup();
+    return true;
+
+    function requestClose() {
+        if (window.history.state?.popup) {
+            window.history.back();
+        } else {
+            closePopup();
+        }
+    }
+
     function closePopup() {
         overlay.classList.remove('open');
         overlay.setAttribute('aria-hidden', 'true');
         setTimeout(() => {
             document.getElementById('modal-iframe').src = '';
+            resetModalMode();
         }, 300);
 
+        const state = modalStates.get(overlay);
+        modalStates.delete(overlay);
+        state?.inertElements.forEach(element => element.removeAttribute('inert'));
+
+        const returnFocus = state?.returnFocus;
+        if (returnFocus?.isConnected && typeof returnFocus.focus === 'function') {
+            returnFocus.focus({ preventScroll: true });
+        }
+
         if (overlay.onClose) {
             const callback = overlay.onClose;
             overlay.onClose = null;
@@ -45,11 +85,82 @@ function setupPopup() {
                 console.error('Error in modal onClose callback:', e);
             }
         }
+
+        document.dispatchEvent(new CustomEvent('kampose:popup-close'));
     }
 
-    return true;
+    function resetModalMode() {
+        if (overlay.classList.contains('open')) return;
+
+        overlay.classList.remove('gallery-mode', 'viewer-mode');
+
+        const viewer = document.getElementById('modal-viewer');
+        if (viewer) {
+            viewer.querySelector('.viewer-content').innerHTML = '';
+            viewer.querySelector('.viewer-raw').textContent = '';
+        }
+
+        clearGallery();
+    }
+
+    function trapFocus(e) {
+        const container = overlay.querySelector('.modal-container') || overlay;
+        const focusable = Array.from(container.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, summary, [tabindex]:not([tabindex="-1"])'))
+            .filter(element => !element.closest('[hidden]') && (!element.checkVisibility || element.checkVisibility({ visibilityProperty: true })));
+
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!container.contains(active)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    function openLinkedPopup() {
+        const asset = new URLSearchParams(window.location.search).get('popup');
+        if (!asset) return;
+
+        const baseUrl = resolveBaseUrl(document.getElementById('site-navigation') || document.getElementById('menubar'));
+        let href;
+        try {
+            href = new URL(asset, baseUrl).href;
+        } catch {
+            return;
+        }
+
+        const link = Array.from(document.querySelectorAll('a.popup-link')).find(other => other.href === href);
+        if (link) {
+            link.focus({ preventScroll: true });
+            link.click();
+        } else {
+            const url = new URL(window.location.href);
+            url.searchParams.delete('popup');
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
 }
 
+/**
+ * The state of the open popup modal, keyed by the overlay element.
+ *
+ * The state holds the element to focus again when the popup closes, and the elements made
+ * inert while the popup is open.
+ */
+const modalStates = new WeakMap();
+
 /**
  * Displays content of a given URL in a popup modal or new window.
  *
@@ -58,8 +169,9 @@ function setupPopup() {
  * @param {string} src The source URL to display in the popup.
  * @param {string} caption The caption or title for the popup.
  * @param {function} onClose A callback function to execute when the popup is closed.
+ * @param {string} [assetUrl] The URL of the displayed asset, if it differs from the source URL.
  */
-function openPopup(src, caption, onClose) {
+function openPopup(src, caption, onClose, assetUrl) {
     if (!src) return;
     const iframe = document.getElementById('modal-iframe');
     if (iframe) {
@@ -68,10 +180,7 @@ function openPopup(src, caption, onClose) {
         if (title) {
             title.textContent = caption || '';
         }
-        const overlay = document.getElementById('modal-overlay');
-        overlay.classList.add('open');
-        overlay.setAttribute('aria-hidden', 'false');
-        overlay.onClose = onClose ?? null;
+        showModal(null, onClose, assetUrl || src);
     } else {
         const width = window.innerWidth * 0.6;
         const height = window.innerHeight * 0.7;
@@ -80,3 +189,80 @@ function openPopup(src, caption, onClose) {
         window.open(src, '_blank', `left=${left},top=${top},width=${width},height=${height},resizable=yes,scrollbars=yes,status=no`);
     }
 }
+
+/**
+ * Opens the popup modal in a given mode.
+ *
+ * When the popup is not open yet, this function remembers the focused element, makes
+ * the rest of the page inert, and moves focus into the popup. If an asset URL is given,
+ * the popup also gets an entry in the browser history, as described by
+ * `updatePopupLocation`.
+ *
+ * @param {string|null} mode The mode of the popup, such as `gallery` or `viewer`, or `null` for the default frame.
+ * @param {function} onClose A callback function to execute when the popup is closed.
+ * @param {string} [assetUrl] The URL of the asset displayed in the popup.
+ */
+function showModal(mode, onClose, assetUrl) {
+    const overlay = document.getElementById('modal-overlay');
+    if (!overlay) return;
+
+    const wasOpen = overlay.classList.contains('open');
+    if (!wasOpen) {
+        const inertElements = Array.from(document.body.children)
+            .filter(element => element !== overlay && !element.hasAttribute('inert') && element.tagName !== 'SCRIPT');
+        inertElements.forEach(element => element.setAttribute('inert', ''));
+        modalStates.set(overlay, { returnFocus: document.activeElement, inertElements });
+    }
+
+    overlay.classList.remove('gallery-mode', 'viewer-mode');
+    if (mode) {
+        overlay.classList.add(`${mode}-mode`);
+    }
+    overlay.classList.add('open');
+    overlay.setAttribute('aria-hidden', 'false');
+    overlay.onClose = onClose ?? null;
+
+    if (assetUrl) {
+        updatePopupLocation(assetUrl);
+    }
+
+    if (!wasOpen) {
+        const target = document.getElementById('modal-close') || overlay.querySelector('.modal-container');
+        target?.focus({ preventScroll: true });
+        document.dispatchEvent(new CustomEvent('kampose:popup-open', { detail: { mode: mode || 'frame', url: assetUrl || null } }));
+    }
+}
+
+/**
+ * Records the asset displayed in the open popup in the browser history.
+ *
+ * The first call while the popup is open pushes a history entry whose URL names the asset
+ * in the `popup` query parameter, so the Back button closes the popup and the URL can be
+ * shared. Subsequent calls, such as when moving between the images of a gallery, replace
+ * that entry. Assets outside the documentation are not recorded.
+ *
+ * @param {string} assetUrl The URL of the asset displayed in the popup.
+ */
+function updatePopupLocation(assetUrl) {
+    if (window.location.protocol === 'file:' || !window.history.pushState) return;
+
+    const baseUrl = resolveBaseUrl(document.getElementById('site-navigation') || document.getElementById('menubar'));
+    const asset = new URL(assetUrl, window.location.href);
+    if (!asset.href.startsWith(baseUrl)) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('popup', asset.href.substring(baseUrl.length));
+
+    if (window.history.state?.popup) {
+        window.history.replaceState({ popup: true }, '', url.href);
+        return;
+    }
+
+    // Keep the entry of the page itself free of the parameter, so going back closes the popup
+    const pageUrl = new URL(window.location.href);
+    if (pageUrl.searchParams.has('popup')) {
+        pageUrl.searchParams.delete('popup');
+        window.history.replaceState(window.history.state, '', pageUrl.href);
+    }
+    window.history.pushState({ popup: true }, '', url.href);
+}
@@ -0,0 +1,77 @@
+/**
+ * Setup offline reading.
+ *
+ * This function registers the service worker that precaches the documentation for offline
+ * reading when the `offlineReading` theme parameter is enabled, or unregisters it when the
+ * parameter is disabled. When the service worker of a new build has precached the
+ * documentation in the background, a toast offers to reload the page to switch to the
+ * new build.
+ *
+ * @returns {boolean} True if offline reading was set up, false otherwise.
+ */
+function setupOfflineReading() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return false;
+
+    const baseUrl = resolveBaseUrl(document.getElementById('menubar'));
+
+    if (!window.kampose.config.offlineReading) {
+        navigator.serviceWorker.getRegistration(baseUrl)
+            .then(registration => registration?.scope === baseUrl ? registration.unregister() : false)
+            .catch(() => false);
+        return false;
+    }
+
+    const buildId = window.kampose.config.buildId || '';
+    const workerUrl = `${baseUrl}service-worker.js?build=${encodeURIComponent(buildId)}`;
+
+    navigator.serviceWorker.register(workerUrl, { scope: baseUrl })
+        .then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateToast(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateToast(worker);
+                    }
+                });
+            });
+        })
+        .catch(error => console.warn('Failed to register the service worker:', error));
+
+    return true;
+
+    function showUpdateToast(worker) {
+        if (document.querySelector('.update-toast')) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'update-toast';
+        toast.setAttribute('role', 'status');
+
+        const message = document.createElement('span');
+        message.textContent = getUiString('updateAvailable');
+        toast.appendChild(message);
+
+        const reloadButton = document.createElement('button');
+        reloadButton.type = 'button';
+        reloadButton.className = 'update-toast-reload';
+        reloadButton.textContent = getUiString('reload');
+        reloadButton.addEventListener('click', () => {
+            reloadButton.disabled = true;
+            navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+            worker.postMessage({ type: 'skip-waiting' });
+        });
+        toast.appendChild(reloadButton);
+
+        const dismissButton = document.createElement('button');
+        dismissButton.type = 'button';
+        dismissButton.className = 'update-toast-dismiss';
+        dismissButton.setAttribute('aria-label', getUiString('dismiss'));
+        dismissButton.textContent = '×';
+        dismissButton.addEventListener('click', () => toast.remove());
+        toast.appendChild(dismissButton);
+
+        document.body.appendChild(toast);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,216 @@
+/**
+ * Setup the lists of recent and pinned pages.
+ *
+ * This function records the pages visited by the reader in local storage, and adds a star
+ * button to the title of the article for pinning the page. The recently visited pages and
+ * the pinned pages are listed above the site navigation, where each entry can be removed
+ * and each list can be cleared. The lists are updated as other tabs of the documentation
+ * change them.
+ *
+ * Only pages listed in the sitemap are recorded, and entries are shown with the titles of
+ * their sitemap entries, so that the lists never link to pages missing from this build.
+ *
+ * @returns {boolean} True if the page lists were set up, false otherwise.
+ */
+function setupPageLists() {
+    const siteNav = document.getElementById('site-navigation');
+    if (!siteNav) return false;
+
+    const baseUrl = resolveBaseUrl(siteNav);
+    const maxRecentPages = 10;
+    const pages = indexSitemapPages(window.kampose.sitemap || []);
+
+    const lists = [
+        { key: 'pinned-pages', name: 'pinned', title: 'pinnedPages' },
+        { key: 'recent-pages', name: 'recent', title: 'recentPages' }
+    ];
+
+    const container = document.createElement('div');
+    container.className = 'page-lists';
+    lists.forEach(list => container.appendChild(createSection(list)));
+    siteNav.insertBefore(container, siteNav.querySelector(':scope > .nav-items'));
+
+    updateCurrentPage();
+
+    document.addEventListener('kampose:page-change', () => updateCurrentPage());
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === null || lists.some(list => list.key === e.key)) {
+            renderLists();
+            updatePinButton();
+        }
+    });
+
+    return true;
+
+    function indexSitemapPages(items, index = new Map()) {
+        items.forEach(item => {
+            if (item.url && !index.has(decodeURI(item.url))) {
+                index.set(decodeURI(item.url), item);
+            }
+            if (item.items) {
+                indexSitemapPages(item.items, index);
+            }
+        });
+        return index;
+    }
+
+    function getCurrentPage() {
+        const pageUrl = window.location.origin + window.location.pathname;
+        if (!pageUrl.startsWith(baseUrl)) return null;
+
+        const path = decodeURI(pageUrl.substring(baseUrl.length));
+        return pages.get(path || 'index.html') || pages.get(path.endsWith('/') ? path + 'index.html' : path + '.html') || null;
+    }
+
+    function updateCurrentPage() {
+        const page = getCurrentPage();
+        if (page) {
+            const recentPages = readEntries(lists[1]).filter(entry => entry.url !== page.url);
+            writeEntries(lists[1], [createEntryData(page), ...recentPages].slice(0, maxRecentPages));
+        }
+
+        addPinButton(page);
+        renderLists();
+    }
+
+    function readEntries(list) {
+        try {
+            const entries = JSON.parse(retrieveFromLocalStorage(list.key, '[]'));
+            return Array.isArray(entries) ? entries.filter(entry => typeof entry?.url === 'string') : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeEntries(list, entries) {
+        storeInLocalStorage(list.key, entries.length !== 0 ? JSON.stringify(entries) : null);
+    }
+
+    function createEntryData(page) {
+        return { title: page.title, url: page.url };
+    }
+
+    function createSection(list) {
+        const section = document.createElement('section');
+        section.className = `page-list page-list-${list.name} hidden`;
+        section.dataset.list = list.name;
+
+        const header = document.createElement('div');
+        header.className = 'page-list-header';
+
+        const title = document.createElement('h2');
+        title.className = 'page-list-title';
+        title.id = `page-list-${list.name}-title`;
+        title.textContent = getUiString(list.title);
+        header.appendChild(title);
+        section.setAttribute('aria-labelledby', title.id);
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'page-list-clear';
+        clearButton.textContent = getUiString('clearAll');
+        clearButton.addEventListener('click', () => {
+            writeEntries(list, []);
+            renderLists();
+            updatePinButton();
+            restoreFocus(list, 0);
+        });
+        header.appendChild(clearButton);
+
+        section.appendChild(header);
+
+        const items = document.createElement('ul');
+        items.className = 'page-list-items';
+        section.appendChild(items);
+
+        return section;
+    }
+
+    function renderLists() {
+        const currentPage = getCurrentPage();
+
+        lists.forEach(list => {
+            const section = container.querySelector(`.page-list[data-list="${list.name}"]`);
+            const items = section.querySelector('.page-list-items');
+            items.replaceChildren();
+
+            readEntries(list)
+                .map(entry => pages.get(decodeURI(entry.url)))
+                .filter(page => page && (list.name !== 'recent' || page !== currentPage))
+                .forEach(page => items.appendChild(createEntry(list, page, page === currentPage)));
+
+            section.classList.toggle('hidden', items.children.length === 0);
+        });
+    }
+
+    function createEntry(list, page, isCurrent) {
+        const item = document.createElement('li');
+        item.className = 'page-list-item';
+
+        const link = document.createElement('a');
+        link.href = baseUrl + page.url;
+        link.textContent = page.title;
+        if (isCurrent) {
+            link.setAttribute('aria-current', 'page');
+        }
+        item.appendChild(link);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'page-list-remove';
+        removeButton.setAttribute('aria-label', getUiString('removePage', { title: page.title }));
+        removeButton.title = getUiString('remove');
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', () => {
+            const index = Array.from(item.parentElement.children).indexOf(item);
+            writeEntries(list, readEntries(list).filter(entry => entry.url !== page.url));
+            renderLists();
+            updatePinButton();
+            restoreFocus(list, index);
+        });
+        item.appendChild(removeButton);
+
+        return item;
+    }
+
+    function restoreFocus(list, index) {
+        const buttons = container.querySelectorAll(`.page-list[data-list="${list.name}"] .page-list-remove`);
+        const button = buttons[Math.min(index, buttons.length - 1)];
+        if (button) {
+            button.focus();
+        } else {
+            siteNav.closest('.sidebar')?.focus({ preventScroll: true });
+        }
+    }
+
+    function addPinButton(page) {
+        const title = document.querySelector('#article h1');
+        if (!page || !title || title.querySelector(':scope > .pin-toggle')) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pin-toggle';
+        button.dataset.url = page.url;
+        button.addEventListener('click', () => {
+            const pinnedPages = readEntries(lists[0]).filter(entry => entry.url !== page.url);
+            writeEntries(lists[0], button.getAttribute('aria-pressed') === 'true' ? pinnedPages : [createEntryData(page), ...pinnedPages]);
+            renderLists();
+            updatePinButton();
+        });
+        title.appendChild(button);
+
+        updatePinButton();
+    }
+
+    function updatePinButton() {
+        const button = document.querySelector('#article h1 > .pin-toggle');
+        if (!button) return;
+
+        const isPinned = readEntries(lists[0]).some(entry => entry.url === button.dataset.url);
+        button.setAttribute('aria-pressed', isPinned ? 'true' : 'false');
+        button.setAttribute('aria-label', getUiString(isPinned ? 'unpinPage' : 'pinPage'));
+        button.title = getUiString(isPinned ? 'unpinPage' : 'pinPage');
+        button.textContent = isPinned ? '★' : '☆';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Setup full-text search.
+ *
+ * This function extends the navigation search box with a dropdown of pages whose title,
+ * summary or content match the search terms. The search box accepts the same query syntax
+ * as the navigation filter, including quoted phrases, exclusions, and the `kind:` and `ns:`
+ * qualifiers. The search index is loaded on demand the first time the user types into the
+ * search box, and only once: if it fails to load, the full-text search stays unavailable
+ * until the page is reloaded. When the URL of the page has a `q` query parameter, its
+ * value is searched for as soon as the page is loaded.
+ *
+ * @returns {boolean} True if full-text search was set up, false otherwise.
+ */
+function setupFullTextSearch() {
+    const searchInput = document.getElementById('nav-search');
+    if (!searchInput) return false;
+
+    const resultsPanel = document.getElementById('search-results');
+    if (!resultsPanel) return false;
+
+    const siteNav = document.getElementById('site-navigation');
+    const baseUrl = resolveBaseUrl(siteNav);
+
+    const maxResults = 20;
+    const snippetRadius = 60;
+
+    let searchIndex = null;
+    let searchIndexLoading = null;
+    let activeIndex = -1;
+
+    searchInput.addEventListener('input', debounce(() => search(searchInput.value), 250));
+
+    searchInput.addEventListener('keydown', (e) => {
+        const results = resultsPanel.querySelectorAll('.search-result');
+        if (resultsPanel.classList.contains('hidden') || results.length === 0) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActiveResult(results, Math.min(activeIndex + 1, results.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActiveResult(results, Math.max(activeIndex - 1, 0));
+                break;
+            case 'Enter':
+                if (activeIndex >= 0) {
+                    e.preventDefault();
+                    results[activeIndex].querySelector('a')?.click();
+                }
+                break;
+            case 'Escape':
+                hideResults();
+                break;
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!resultsPanel.contains(e.target) && e.target !== searchInput) {
+            hideResults();
+        }
+    });
+
+    document.getElementById('clear-search')?.addEventListener('click', hideResults);
+
+    const initialQuery = (new URLSearchParams(window.location.search).get('q') || '').trim();
+    if (initialQuery) {
+        searchInput.value = initialQuery;
+        search(initialQuery);
+    }
+
+    return true;
+
+    function search(text) {
+        const query = parseSearchQuery(text);
+        const terms = Array.from(new Set([...query.words, ...query.phrases]));
+        if (terms.length === 0) {
+            hideResults();
+            return;
+        }
+
+        loadSearchIndex()
+            .then(() => {
+                if (searchInput.value !== text) return;
+                const matches = findMatches(query, terms);
+                renderResults(matches, terms);
+                const results = matches.map(entry => ({ title: entry.title, url: baseUrl + entry.url }));
+                document.dispatchEvent(new CustomEvent('kampose:search', { detail: { query: text, results } }));
+            })
+            .catch(() => hideResults());
+    }
+
+    function loadSearchIndex() {
+        if (searchIndexLoading) return searchIndexLoading;
+
+        searchIndexLoading = new Promise((resolve, reject) => {
+            const prepare = () => {
+                searchIndex = (window.kampose.searchIndex || []).map(entry => ({
+                    ...entry,
+                    titleText: entry.title.toLowerCase(),
+                    summaryText: (entry.summary || '').toLowerCase(),
+                    bodyText: (entry.body || '').toLowerCase()
+                }));
+                resolve(searchIndex);
+            };
+
+            if (window.kampose.searchIndex) {
+                prepare();
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = baseUrl + 'search-index.js';
+            script.onload = prepare;
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${script.src}`));
+            };
+            document.head.appendChild(script);
+        });
+
+        return searchIndexLoading;
+    }
+
+    function findMatches(query, terms) {
+        const matches = [];
+        searchIndex.forEach(entry => {
+            if (!matchesSearchQualifiers(query, entry.kind, entry.namespace)) return;
+            if (query.excludedTerms.some(term => isExcluded(entry, term))) return;
+
+            let score = 0;
+            for (const term of terms) {
+                const termScore = scoreTerm(entry, term);
+                if (termScore === 0) return;
+                score += termScore;
+            }
+            matches.push({ entry, score });
+        });
+
+        return matches
+            .sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title))
+            .slice(0, maxResults)
+            .map(match => match.entry);
+    }
+
+    function scoreTerm(entry, term) {
+        let score = 0;
+
+        const titleIndex = entry.titleText.indexOf(term);
+        if (titleIndex === 0) {
+            score += 20;
+        } else if (titleIndex > 0) {
+            score += 10;
+        }
+
+        if (entry.summaryText.includes(term)) {
+            score += 5;
+        }
+
+        const bodyCount = countOccurrences(entry.bodyText, term, 5);
+        score += bodyCount;
+
+        return score;
+    }
+
+    function isExcluded(entry, term) {
+        return entry.titleText.includes(term)
+            || entry.summaryText.includes(term)
+            || entry.bodyText.includes(term);
+    }
+
+    function countOccurrences(text, term, limit) {
+        let count = 0;
+        for (let i = text.indexOf(term); i >= 0 && count < limit; i = text.indexOf(term, i + term.length)) {
+            count++;
+        }
+        return count;
+    }
+
+    function renderResults(entries, terms) {
+        resultsPanel.innerHTML = '';
+        activeIndex = -1;
+
+        if (entries.length === 0) {
+            hideResults();
+            return;
+        }
+
+        const query = new RegExp(terms.map(term => escapeRegex(escapeHtml(term))).join('|'), 'ig');
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-result';
+            item.id = `search-result-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+
+            const link = document.createElement('a');
+            link.href = baseUrl + entry.url;
+
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            title.innerHTML = highlight(entry.title, query);
+            link.appendChild(title);
+
+            const snippet = createSnippet(entry, terms);
+            if (snippet) {
+                const text = document.createElement('span');
+                text.className = 'search-result-snippet';
+                text.innerHTML = highlight(snippet, query);
+                link.appendChild(text);
+            }
+
+            item.appendChild(link);
+            resultsPanel.appendChild(item);
+        });
+
+        resultsPanel.classList.remove('hidden');
+        searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    function createSnippet(entry, terms) {
+        if (entry.summary && terms.some(term => entry.summaryText.includes(term))) {
+            return entry.summary;
+        }
+
+        const position = terms
+            .map(term => entry.bodyText.indexOf(term))
+            .filter(index => index >= 0)
+            .reduce((min, index) => Math.min(min, index), Infinity);
+
+        if (position === Infinity) {
+            return entry.summary || null;
+        }
+
+        const start = Math.max(0, position - snippetRadius);
+        const end = Math.min(entry.body.length, position + snippetRadius * 2);
+        return (start > 0 ? '…' : '') + entry.body.substring(start, end).trim() + (end < entry.body.length ? '…' : '');
+    }
+
+    function highlight(text, query) {
+        return escapeHtml(text).replace(query, match => `<mark>${match}</mark>`);
+    }
+
+    function setActiveResult(results, index) {
+        results.forEach((result, i) => {
+            result.classList.toggle('active', i === index);
+            result.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
+
+        activeIndex = index;
+        const activeResult = results[index];
+        if (activeResult) {
+            searchInput.setAttribute('aria-activedescendant', activeResult.id);
+            activeResult.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    function hideResults() {
+        resultsPanel.classList.add('hidden');
+        resultsPanel.innerHTML = '';
+        activeIndex = -1;
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
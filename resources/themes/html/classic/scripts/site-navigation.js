@@ -2,7 +2,10 @@
  * Setup site navigation.
  *
  * This function initializes the site navigation, building the navigation structure
- * based on the provided sitemap.
+ * based on the provided sitemap. Collapsed branches are rendered only when they are
+ * expanded for the first time, or when they contain items matching the search filter.
+ * The search filter is kept in the `q` query parameter of the URL, so a filtered view of
+ * the navigation can be linked to and survives reloading the page.
  *
  * @returns {boolean} True if site navigation was set up, false otherwise.
  */
@@ -10,8 +13,13 @@ function setupSiteNavigation() {
     const siteNav = document.getElementById('site-navigation');
     if (!siteNav) return false;
 
-    const currentUrl = getCurrentPageUrl();
-    const baseUrl = siteNav.getAttribute('data-base-url') || '';
+    const baseUrl = resolveBaseUrl(siteNav);
+    let currentUrl = getCurrentPageUrl();
+
+    const navEntries = [];
+    const navItems = new Map();
+    const pendingChildren = new Map();
+    const activePath = new Set();
 
     const builder = getNavigationBuilder();
 
@@ -20,8 +28,12 @@ function setupSiteNavigation() {
 
     siteNav.appendChild(navContent);
 
+    setupTree(navContent);
     setupSearch();
     setupScroll(siteNav);
+
+    document.addEventListener('kampose:page-change', () => updateActiveItem());
+    document.dispatchEvent(new CustomEvent('kampose:navigation-built', { detail: { element: siteNav } }));
     return true;
 
     function getNavigationBuilder() {
@@ -40,6 +52,7 @@ function setupSiteNavigation() {
         const mainList = document.createElement('ul');
         mainList.className = 'nav-items nav-api';
 
+        indexNavItems(items);
         items.forEach(item => {
             const navItem = createNavItem(item, expandedLevels);
             mainList.appendChild(navItem);
@@ -53,6 +66,7 @@ function setupSiteNavigation() {
         mainList.className = 'nav-items nav-topics';
 
         const topics = getTopicsFromSitemap();
+        indexNavItems(topics);
         topics.forEach(topic => {
             const topicItem = createNavItem(topic);
             mainList.appendChild(topicItem);
@@ -72,24 +86,58 @@ function setupSiteNavigation() {
 
     function flattenItems(items) {
         return items
-            .flat()
-            .map(item => item.items)
-            .flat()
+            .flatMap(ns => (ns.items || []).map(item => ({ ...item, namespace: ns.title })))
             .sort((a, b) => a.title.localeCompare(b.title))
     }
 
-    function createNavItem(data, expandedLevels = 0, maxLevel = Infinity, currentLevel = 0) {
+    function indexNavItems(items, parent = null, namespace = null) {
+        items.forEach(data => {
+            const entry = {
+                data,
+                parent,
+                namespace: data.kind === 'namespace' ? data.title : data.namespace || namespace,
+                text: data.title.toLowerCase()
+            };
+            navEntries.push(entry);
+
+            if (data.url && currentUrl.endsWith('/' + data.url)) {
+                for (let node = entry; node; node = node.parent) {
+                    activePath.add(node.data);
+                }
+            }
+
+            if (data.items?.length) {
+                indexNavItems(data.items, entry, entry.namespace);
+            }
+        });
+    }
+
+    function createNavItem(data, expandedLevels = 0, maxLevel = Infinity, currentLevel = 0, namespace = null) {
         currentLevel++;
         const listItem = document.createElement('li');
         listItem.className = 'nav-item';
+        listItem.setAttribute('role', 'treeitem');
+        listItem.setAttribute('aria-label', data.title);
+        listItem.tabIndex = -1;
+        navItems.set(data, listItem);
+
+        namespace = data.kind === 'namespace' ? data.title : data.namespace || namespace;
+        if (data.kind) {
+            listItem.dataset.kind = data.kind;
+        }
+        if (namespace) {
+            listItem.dataset.namespace = namespace;
+        }
 
         if (data.url) {
             if (currentUrl.endsWith('/' + data.url)) {
                 listItem.classList.add('active');
+                listItem.setAttribute('aria-current', 'page');
             }
             const link = document.createElement('a');
             link.href = baseUrl + data.url;
             link.textContent = data.title;
+            link.tabIndex = -1;
             listItem.appendChild(link);
         } else {
             listItem.setAttribute('aria-expanded', 'false');
@@ -97,7 +145,7 @@ function setupSiteNavigation() {
             span.textContent = data.title;
             span.addEventListener('click', (e) => {
                 e.stopPropagation();
-                listItem.setAttribute('aria-expanded', listItem.classList.toggle('expanded') ? 'true' : 'false');
+                setExpanded(listItem, !listItem.classList.contains('expanded'));
             });
             listItem.appendChild(span);
         }
@@ -106,78 +154,139 @@ function setupSiteNavigation() {
             const childList = document.createElement('ul');
             childList.className = 'nav-items';
             childList.setAttribute('role', 'group');
-
-            let hasActiveChild = false;
-            data.items.forEach(item => {
-                const childListItem = createNavItem(item, expandedLevels, maxLevel, currentLevel);
-                childList.appendChild(childListItem);
-                hasActiveChild = hasActiveChild || childListItem.classList.contains('active') || childListItem.classList.contains('expanded');
-            });
-
             listItem.appendChild(childList);
 
-            if (currentLevel > expandedLevels) {
+            const renderChildren = () => {
+                data.items.forEach(item => {
+                    const childListItem = createNavItem(item, expandedLevels, maxLevel, currentLevel, namespace);
+                    childList.appendChild(childListItem);
+                });
+            };
+
+            if (currentLevel <= expandedLevels) {
+                renderChildren();
+            } else if (activePath.has(data)) {
+                listItem.classList.add('expandable', 'expanded');
+                listItem.setAttribute('aria-expanded', 'true');
+                renderChildren();
+            } else {
                 listItem.classList.add('expandable');
-                if (hasActiveChild || listItem.classList.contains('active')) {
-                    listItem.classList.add('expanded');
-                    listItem.setAttribute('aria-expanded', 'true');
-                } else {
-                    listItem.setAttribute('aria-expanded', 'false');
-                }
+                listItem.setAttribute('aria-expanded', 'false');
+                pendingChildren.set(listItem, renderChildren);
             }
         }
 
+        document.dispatchEvent(new CustomEvent('kampose:nav-item-render', { detail: { item: listItem, entry: data } }));
         return listItem;
     }
 
-    function filterNavigation(searchTerm) {
+    function updateActiveItem() {
+        currentUrl = getCurrentPageUrl();
+
+        siteNav.querySelectorAll('.nav-item.active').forEach(item => {
+            item.classList.remove('active');
+            item.removeAttribute('aria-current');
+        });
+
+        activePath.clear();
+        const activeEntry = navEntries.find(entry => entry.data.url && currentUrl.endsWith('/' + entry.data.url));
+        if (!activeEntry) return;
+
+        for (let node = activeEntry; node; node = node.parent) {
+            activePath.add(node.data);
+        }
+
+        const activeItem = revealNavEntry(activeEntry, new Set());
+        if (!activeItem) return;
+
+        activeItem.classList.add('active');
+        activeItem.setAttribute('aria-current', 'page');
+        if (activeItem.classList.contains('expandable')) {
+            setExpanded(activeItem, true);
+        }
+
+        setTabStop(activeItem);
+        if (!isInView(activeItem, siteNav)) {
+            activeItem.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    function filterNavigation(searchText) {
         const noResultsMsg = siteNav.querySelector('.no-search-results');
-        const allNavItems = siteNav.querySelectorAll('.nav-item');
 
-        if (!searchTerm) {
+        if (!searchText) {
             noResultsMsg?.classList.add('hidden');
-            removeFilterHighlights(allNavItems);
+            removeFilterHighlights(siteNav.querySelectorAll('.nav-item'));
+            resetTabStop();
             return;
         }
 
-        const escapedSearchTerm = escapeHtml(searchTerm);
-        const query = new RegExp(escapeRegex(escapedSearchTerm), 'ig');
+        const searchQuery = parseSearchQuery(searchText);
+        const terms = [...searchQuery.words, ...searchQuery.phrases].filter(term => term.length > 0);
+        const query = terms.length
+            ? new RegExp(terms.map(term => escapeRegex(escapeHtml(term))).join('|'), 'ig')
+            : null;
+
+        const matchedItems = new Set();
+        const visibleItems = new Set();
+        navEntries.forEach(entry => {
+            if (!entry.data.url || !matchesNavEntry(entry, searchQuery, terms)) return;
+
+            const item = revealNavEntry(entry, visibleItems);
+            if (item) {
+                matchedItems.add(item);
+                visibleItems.add(item);
+            }
+        });
 
-        let anyMatches = false;
-        allNavItems.forEach(item => {
-            item.classList.add('hidden');
-            const link = item.querySelector('a');
+        siteNav.querySelectorAll('.nav-item').forEach(item => {
+            item.classList.toggle('hidden', !visibleItems.has(item));
+
+            const link = item.querySelector(':scope > a');
             if (!link) return;
 
-            const text = link.dataset.originalText || link.textContent;
-            const escapedText = escapeHtml(text);
-            if (!query.test(escapedText)) {
+            if (!matchedItems.has(item)) {
                 clearLinkHighlights(link);
                 return;
             }
 
-            anyMatches = true;
+            const text = link.dataset.originalText || link.textContent;
             link.dataset.originalText = text;
-            link.innerHTML = escapedText.replace(query, '<mark>$&</mark>');
+            link.innerHTML = query ? escapeHtml(text).replace(query, '<mark>$&</mark>') : escapeHtml(text);
+        });
 
-            item.classList.remove('hidden');
-            for (let parent = item.parentElement; parent && parent !== siteNav; parent = parent.parentElement) {
-                parent.classList.remove('hidden');
-                if (parent.classList.contains('expandable')) {
-                    parent.classList.add('expanded');
-                }
-                if (parent.hasAttribute('aria-expanded')) {
-                    parent.setAttribute('aria-expanded', 'true');
-                }
+        noResultsMsg?.classList.toggle('hidden', matchedItems.size !== 0);
+        resetTabStop();
+    }
+
+    function matchesNavEntry(entry, searchQuery, terms) {
+        return terms.every(term => entry.text.includes(term))
+            && !searchQuery.excludedTerms.some(term => entry.text.includes(term))
+            && matchesSearchQualifiers(searchQuery, entry.data.kind, entry.namespace);
+    }
+
+    function revealNavEntry(entry, visibleItems) {
+        const ancestors = [];
+        for (let parent = entry.parent; parent; parent = parent.parent) {
+            ancestors.unshift(parent);
+        }
+
+        for (const ancestor of ancestors) {
+            const ancestorItem = navItems.get(ancestor.data);
+            if (!ancestorItem) return null;
+
+            if (ancestorItem.classList.contains('expandable')) {
+                setExpanded(ancestorItem, true);
             }
-        });
+            visibleItems.add(ancestorItem);
+        }
 
-        noResultsMsg?.classList.toggle('hidden', anyMatches);
+        return navItems.get(entry.data) || null;
     }
 
     function removeFilterHighlights(allNavItems) {
         allNavItems.forEach(item => {
-            const link = item.querySelector('a');
+            const link = item.querySelector(':scope > a');
             if (link) {
                 clearLinkHighlights(link);
             }
@@ -210,13 +319,169 @@ function setupSiteNavigation() {
         }
     }
 
+    function setupTree(tree) {
+        tree.setAttribute('role', 'tree');
+        tree.setAttribute('aria-label', getUiString('documentation'));
+
+        let typeAheadText = '';
+        let typeAheadTimeout;
+
+        resetTabStop();
+
+        tree.addEventListener('focusin', (e) => {
+            const item = e.target.closest('.nav-item');
+            if (item) {
+                setTabStop(item);
+            }
+        });
+
+        tree.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.nav-item');
+            if (!item || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const visibleItems = getVisibleItems();
+            const index = visibleItems.indexOf(item);
+            const parentItem = item.parentElement.closest('.nav-item');
+            const isExpandable = item.classList.contains('expandable');
+            const isExpanded = item.classList.contains('expanded');
+
+            switch (getLogicalKey(e.key, tree)) {
+                case 'ArrowDown':
+                    focusItem(visibleItems[index + 1]);
+                    break;
+                case 'ArrowUp':
+                    focusItem(visibleItems[index - 1]);
+                    break;
+                case 'ArrowRight':
+                    if (isExpandable && !isExpanded) {
+                        setExpanded(item, true);
+                    } else if (isExpandable) {
+                        focusItem(visibleItems.find(child => child.parentElement.parentElement === item));
+                    }
+                    break;
+                case 'ArrowLeft':
+                    if (isExpandable && isExpanded) {
+                        setExpanded(item, false);
+                    } else {
+                        focusItem(parentItem);
+                    }
+                    break;
+                case 'Home':
+                    focusItem(visibleItems[0]);
+                    break;
+                case 'End':
+                    focusItem(visibleItems[visibleItems.length - 1]);
+                    break;
+                case 'Enter': {
+                    if (e.target !== item) return;
+                    const link = item.querySelector(':scope > a');
+                    if (link) {
+                        link.click();
+                    } else if (isExpandable) {
+                        setExpanded(item, !isExpanded);
+                    }
+                    break;
+                }
+                case '*':
+                    item.parentElement.querySelectorAll(':scope > .nav-item.expandable').forEach(sibling => setExpanded(sibling, true));
+                    break;
+                default:
+                    if (e.key.length !== 1 || e.key === ' ') return;
+                    clearTimeout(typeAheadTimeout);
+                    typeAheadTimeout = setTimeout(() => typeAheadText = '', 500);
+                    typeAheadText += e.key.toLowerCase();
+                    focusItem(findItemByText(visibleItems, index, typeAheadText));
+                    break;
+            }
+
+            e.preventDefault();
+        });
+
+        const searchInput = document.getElementById('nav-search');
+        searchInput?.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowDown' || e.defaultPrevented) return;
+
+            const firstItem = getVisibleItems()[0];
+            if (firstItem) {
+                e.preventDefault();
+                focusItem(firstItem);
+            }
+        });
+
+        function findItemByText(items, startIndex, text) {
+            const ordered = items.slice(startIndex + 1).concat(items.slice(0, startIndex + 1));
+            return ordered.find(item => getItemLabel(item).startsWith(text))
+                || ordered.find(item => getItemLabel(item).startsWith(text.charAt(0)));
+        }
+
+        function getItemLabel(item) {
+            return (item.getAttribute('aria-label') || '').toLowerCase();
+        }
+    }
+
+    function getVisibleItems() {
+        return Array.from(siteNav.querySelectorAll('.nav-item')).filter(isItemVisible);
+    }
+
+    function isItemVisible(item) {
+        for (let node = item; node && node !== siteNav; node = node.parentElement) {
+            if (node.classList.contains('hidden')) return false;
+            if (node !== item && node.classList.contains('expandable') && !node.classList.contains('expanded')) return false;
+        }
+        return true;
+    }
+
+    function focusItem(item) {
+        if (!item) return;
+        setTabStop(item);
+        item.focus();
+    }
+
+    function setTabStop(item) {
+        siteNav.querySelectorAll('.nav-item[tabindex="0"]').forEach(other => other.tabIndex = -1);
+        item.tabIndex = 0;
+    }
+
+    function resetTabStop() {
+        const currentItem = siteNav.querySelector('.nav-item[tabindex="0"]');
+        if (currentItem && isItemVisible(currentItem)) return;
+
+        const activeItem = siteNav.querySelector('.nav-item.active');
+        const item = activeItem && isItemVisible(activeItem) ? activeItem : getVisibleItems()[0];
+        if (item) {
+            setTabStop(item);
+        }
+    }
+
+    function setExpanded(item, expanded) {
+        if (expanded) {
+            renderPendingChildren(item);
+        }
+
+        item.classList.toggle('expanded', expanded);
+        item.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+
+        if (!expanded && item.querySelector('.nav-item[tabindex="0"]')) {
+            setTabStop(item);
+        }
+    }
+
+    function renderPendingChildren(item) {
+        const renderChildren = pendingChildren.get(item);
+        if (renderChildren) {
+            pendingChildren.delete(item);
+            renderChildren();
+        }
+    }
+
     function setupSearch() {
         const searchInput = document.getElementById('nav-search');
         if (!searchInput) return;
 
         searchInput.addEventListener('input', debounce(() => {
             clearButton?.classList.toggle('hidden', searchInput.value.length === 0);
-            filterNavigation(searchInput.value.toLowerCase().trim());
+            filterNavigation(searchInput.value.trim());
+            writeSearchParam(searchInput.value.trim());
         }, 250));
 
         const clearButton = document.getElementById('clear-search');
@@ -225,9 +490,19 @@ function setupSiteNavigation() {
                 clearButton.classList.add('hidden');
                 searchInput.focus();
                 filterNavigation(searchInput.value = '');
+                writeSearchParam('');
             });
         }
 
+        const initialQuery = readSearchParam();
+        if (initialQuery) {
+            searchInput.value = initialQuery;
+            clearButton?.classList.remove('hidden');
+            filterNavigation(initialQuery);
+        }
+
+        document.addEventListener('kampose:page-change', () => writeSearchParam(searchInput.value.trim()));
+
         document.addEventListener('keydown', (e) => {
             if (e.target.matches('input, textarea, [contenteditable]')) return;
 
@@ -242,6 +517,7 @@ function setupSiteNavigation() {
                 if (searchInput.value) {
                     clearButton?.classList.add('hidden');
                     filterNavigation(searchInput.value = '');
+                    writeSearchParam('');
                 } else {
                     searchInput.blur();
                 }
@@ -249,6 +525,23 @@ function setupSiteNavigation() {
         });
 
         return true;
+
+        function readSearchParam() {
+            return (new URLSearchParams(window.location.search).get('q') || '').trim();
+        }
+
+        function writeSearchParam(text) {
+            const url = new URL(window.location.href);
+            if (text) {
+                url.searchParams.set('q', text);
+            } else {
+                url.searchParams.delete('q');
+            }
+
+            if (url.href !== window.location.href) {
+                window.history.replaceState(window.history.state, '', url.href);
+            }
+        }
     }
 
     function setupScroll(siteNav) {
@@ -0,0 +1,76 @@
+/**
+ * Load the user interface strings.
+ *
+ * This function builds the string table of the language selected by the `uiLanguage`
+ * theme parameter and exposes it as `window.kampose.config.uiStrings`. The table starts
+ * from the English translation of the `uiTranslations` theme parameter, then applies the
+ * translations of the base language and of the full language tag, if any, and finally
+ * the strings of the `uiStrings` theme parameter. The `ui_string` partial renders the
+ * strings of the pages the same way.
+ *
+ * @returns {Object} The string table of the user interface.
+ */
+function loadUiStrings() {
+    const config = window.kampose.config;
+    const language = typeof config.uiLanguage === 'string' ? config.uiLanguage.trim().toLowerCase() : '';
+
+    const translations = config.uiTranslations && typeof config.uiTranslations === 'object' ? config.uiTranslations : {};
+    const overrides = config.uiStrings && typeof config.uiStrings === 'object' ? config.uiStrings : {};
+    config.uiStrings = {
+        ...translations.en,
+        ...translations[language.split('-')[0]],
+        ...translations[language],
+        ...overrides
+    };
+
+    return config.uiStrings;
+}
+
+/**
+ * Get a user interface string.
+ *
+ * This function looks up the string with the given key in the string table of the user
+ * interface, and replaces its `{name}` placeholders with the corresponding values.
+ *
+ * @param {string} key The key of the string.
+ * @param {Object} [values] The values of the placeholders.
+ * @returns {string} The localized string, or the key if the string is not defined.
+ */
+function getUiString(key, values = {}) {
+    const text = window.kampose?.config?.uiStrings?.[key];
+    if (typeof text !== 'string') return key;
+
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => name in values ? String(values[name]) : placeholder);
+}
+
+/**
+ * Localize the user interface strings of the elements.
+ *
+ * This function replaces the text of the elements that have a `data-ui-string` attribute
+ * with the string of the given key. Attributes are localized the same way, using the
+ * `data-ui-string-title`, `data-ui-string-placeholder`, and `data-ui-string-aria-label`
+ * attributes.
+ *
+ * @param {ParentNode} root The element or document to localize, including its descendants.
+ */
+function localizeElements(root) {
+    const attributes = ['title', 'placeholder', 'aria-label'];
+    const selector = ['[data-ui-string]', ...attributes.map(name => `[data-ui-string-${name}]`)].join(',');
+
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.matches?.(selector)) {
+        elements.unshift(root);
+    }
+
+    elements.forEach(element => {
+        if (element.dataset.uiString) {
+            element.textContent = getUiString(element.dataset.uiString);
+        }
+        attributes.forEach(name => {
+            const key = element.getAttribute(`data-ui-string-${name}`);
+            if (key) {
+                element.setAttribute(name, getUiString(key));
+            }
+        });
+    });
+}
\ No newline at end of file
@@ -124,6 +124,130 @@ function isRelativeUrl(url) {
     return !/^([a-zA-Z][a-zA-Z\d+.-]*:)?\/\//.test(url);
 }
 
+/**
+ * Check if an element is laid out from right to left.
+ *
+ * This function checks the `dir` attribute of the closest element that has one, which
+ * is the root element of the page unless a part of the page overrides the direction.
+ *
+ * @param {Element} element The element to check.
+ * @returns {boolean} True if the element is laid out from right to left, false otherwise.
+ */
+function isRightToLeft(element) {
+    return element.closest('[dir]')?.getAttribute('dir').toLowerCase() === 'rtl';
+}
+
+/**
+ * Get the logical key of a keyboard event.
+ *
+ * This function swaps the left and right arrow keys when the element is laid out from
+ * right to left, so that keyboard handlers can treat ArrowRight as moving forward and
+ * ArrowLeft as moving backward regardless of the direction of the layout.
+ *
+ * @param {string} key The key of the keyboard event.
+ * @param {Element} element The element that handles the keyboard event.
+ * @returns {string} The key as it applies to a left-to-right layout.
+ */
+function getLogicalKey(key, element) {
+    if (key !== 'ArrowLeft' && key !== 'ArrowRight') return key;
+    if (!isRightToLeft(element)) return key;
+    return key === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+}
+
+/**
+ * Resolve the base URL of the documentation.
+ *
+ * This function reads the `data-base-url` attribute of the provided element and resolves
+ * it against the URL of the current page. The attribute is relative to the page it was
+ * rendered for, so client-side navigation copies it from each loaded page to keep the
+ * result correct. Links built from a resolved URL remain valid even if the URL of the
+ * page changes later, but the URL itself should be resolved again when it is needed.
+ *
+ * @param {Element} element The element with the `data-base-url` attribute.
+ * @returns {string} The absolute base URL of the documentation.
+ */
+function resolveBaseUrl(element) {
+    const baseUrl = element?.getAttribute('data-base-url') || './';
+    return new URL(baseUrl, window.location.href).href;
+}
+
+/**
+ * Parse a search query.
+ *
+ * This function splits the provided search text into plain words, quoted phrases, and
+ * the `kind:` and `ns:` qualifiers. Any of them can be prefixed with a minus sign to
+ * exclude the matching items instead. The `kind:` qualifier accepts a comma-separated
+ * list of kinds. All terms are returned in lowercase.
+ *
+ * @param {string} text The search text to parse.
+ * @returns {Object} An object containing the `words`, `phrases`, `excludedTerms`, `kinds`,
+ * `excludedKinds`, `namespaces`, and `excludedNamespaces` of the query.
+ */
+function parseSearchQuery(text) {
+    const query = {
+        words: [],
+        phrases: [],
+        excludedTerms: [],
+        kinds: [],
+        excludedKinds: [],
+        namespaces: [],
+        excludedNamespaces: []
+    };
+
+    const tokenPattern = /(-)?(?:(kind|ns):)?(?:"([^"]*)"?|(\S+))/gi;
+    for (const [, exclude, qualifier, phrase, word] of (text || '').matchAll(tokenPattern)) {
+        const value = (phrase ?? word ?? '').toLowerCase().trim();
+        if (!value) continue;
+
+        switch (qualifier?.toLowerCase()) {
+            case 'kind': {
+                const kinds = value.split(',').map(kind => kind.trim()).filter(kind => kind.length > 0);
+                (exclude ? query.excludedKinds : query.kinds).push(...kinds);
+                break;
+            }
+            case 'ns':
+                (exclude ? query.excludedNamespaces : query.namespaces).push(value);
+                break;
+            default:
+                if (exclude) {
+                    query.excludedTerms.push(value);
+                } else if (phrase !== undefined) {
+                    query.phrases.push(value);
+                } else {
+                    query.words.push(value);
+                }
+                break;
+        }
+    }
+
+    return query;
+}
+
+/**
+ * Check if an item satisfies the qualifiers of a search query.
+ *
+ * This function checks the kind and namespace of an item against the `kind:` and `ns:`
+ * qualifiers of a query returned by `parseSearchQuery`. A namespace qualifier matches
+ * the namespace itself and all of its nested namespaces.
+ *
+ * @param {Object} query The parsed search query.
+ * @param {string} kind The kind of the item, or null if unknown.
+ * @param {string} namespace The namespace of the item, or null if unknown.
+ * @returns {boolean} True if the item satisfies the qualifiers, false otherwise.
+ */
+function matchesSearchQualifiers(query, kind, namespace) {
+    kind = (kind || '').toLowerCase();
+    namespace = (namespace || '').toLowerCase();
+
+    const inNamespace = (ns) => namespace === ns || namespace.startsWith(ns + '.');
+
+    if (query.kinds.length && !query.kinds.includes(kind)) return false;
+    if (query.excludedKinds.includes(kind)) return false;
+    if (query.namespaces.length && !query.namespaces.some(inNamespace)) return false;
+    if (query.excludedNamespaces.some(inNamespace)) return false;
+    return true;
+}
+
 /**
  * Get the list of topics from the sitemap.
  *
@@ -172,58 +296,421 @@ function getTopicFromSitemapBtSlug(slug) {
 /**
  * Activate a dropdown menu.
  *
- * This function sets up event listeners to open and close the dropdown menu
- * when the user hovers over it. It also ensures that the menu does not overflow
- * the viewport by flipping its placement if necessary.
+ * This function turns the provided element into a menu button. The menu opens when
+ * the user hovers over it with a mouse, clicks or taps it, or presses Enter, Space,
+ * or ArrowDown (ArrowRight for nested submenus, or ArrowLeft in right-to-left layouts)
+ * while it has focus. While the menu is open, the arrow keys move focus between its
+ * items using a roving tabindex, Escape closes it and returns focus to the menu button,
+ * and clicking outside dismisses it. It also ensures that the menu does not overflow the
+ * viewport by flipping its placement if necessary.
+ *
+ * When the dropdown has a `button` as its trigger, the button is the menu button;
+ * otherwise the dropdown element itself is. The dropdown does not need to be attached
+ * to the document when it is activated.
  *
  * @param {Element} dropdown The dropdown element to activate.
  */
 function activateDropdown(dropdown) {
+    const menu = dropdown.querySelector(':scope > .menu');
+    if (!menu) return;
+
+    const trigger = dropdown.querySelector(':scope > a, :scope > button');
+    const control = trigger?.tagName === 'BUTTON' ? trigger : dropdown;
+    const isNested = () => dropdown.parentElement?.closest('.has-submenu') != null;
+
     let hoverTimeout;
 
-    const openMenu = () => {
+    control.setAttribute('aria-haspopup', 'true');
+    control.setAttribute('aria-expanded', 'false');
+    control.tabIndex = isNested() ? -1 : 0;
+    if (trigger && trigger !== control) {
+        trigger.tabIndex = -1;
+    }
+
+    const getItems = () => Array.from(menu.querySelectorAll(':scope > .menu-item'));
+
+    const isOpen = () => dropdown.classList.contains('open');
+
+    const focusItem = (item) => {
+        if (!item) return;
+        getItems().forEach(other => other.tabIndex = other === item ? 0 : -1);
+        item.focus();
+    };
+
+    const openMenu = (focusTarget) => {
         clearTimeout(hoverTimeout);
-        requestAnimationFrame(() => {
+        if (!isOpen()) {
             dropdown.classList.add('open');
+            control.setAttribute('aria-expanded', 'true');
 
-            const menu = dropdown.querySelector('.menu');
-            if (!menu) return;
-
+            menu.classList.remove('flip-placement');
             const viewWidth = document.documentElement.clientWidth || window.innerWidth;
-            if (!viewWidth) return;
-
             const rect = menu.getBoundingClientRect();
-            if (rect.left < 0 || rect.right > viewWidth) {
-                menu.classList.toggle('flip-placement');
+            if (viewWidth && (rect.left < 0 || rect.right > viewWidth)) {
+                menu.classList.add('flip-placement');
             }
-        });
+        }
+
+        const items = getItems();
+        focusItem(focusTarget === 'last' ? items[items.length - 1] : focusTarget === 'first' ? items[0] : null);
     };
 
-    const closeMenu = () => {
-        hoverTimeout = setTimeout(() => {
-            dropdown.classList.remove('open');
-        }, 100);
+    const closeMenu = (restoreFocus = false) => {
+        clearTimeout(hoverTimeout);
+        [dropdown, ...dropdown.querySelectorAll('.has-submenu.open')].forEach(item => {
+            item.classList.remove('open');
+            (item.querySelector(':scope > button') || item).setAttribute('aria-expanded', 'false');
+        });
+        getItems().forEach(item => item.tabIndex = -1);
+        if (restoreFocus) {
+            control.focus();
+        }
     };
 
-    dropdown.addEventListener('mouseenter', openMenu);
-    dropdown.addEventListener('mouseleave', closeMenu);
+    dropdown.addEventListener('pointerenter', (e) => {
+        if (e.pointerType === 'mouse') {
+            openMenu();
+        }
+    });
+
+    dropdown.addEventListener('pointerleave', (e) => {
+        if (e.pointerType === 'mouse') {
+            clearTimeout(hoverTimeout);
+            hoverTimeout = setTimeout(() => closeMenu(), 100);
+        }
+    });
+
+    dropdown.addEventListener('click', (e) => {
+        if (menu.contains(e.target)) {
+            const item = e.target.closest('.menu-item');
+            if (item && !item.classList.contains('has-submenu')) {
+                closeMenu(menu.contains(document.activeElement));
+            }
+            return;
+        }
+
+        if (!isOpen()) {
+            e.preventDefault();
+            openMenu(e.detail === 0 && control !== dropdown ? 'first' : undefined);
+        } else if (!trigger?.hasAttribute('href')) {
+            closeMenu();
+        }
+    });
+
+    dropdown.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented) return;
+
+        if (e.target === control) {
+            switch (getLogicalKey(e.key, dropdown)) {
+                case 'Enter':
+                case ' ':
+                    if (control !== dropdown) return;
+                    openMenu('first');
+                    break;
+                case 'ArrowDown':
+                    if (isNested()) return;
+                    openMenu('first');
+                    break;
+                case 'ArrowUp':
+                    if (isNested()) return;
+                    openMenu('last');
+                    break;
+                case 'ArrowRight':
+                    if (!isNested()) return;
+                    openMenu('first');
+                    break;
+                case 'Escape':
+                    if (!isOpen()) return;
+                    closeMenu(true);
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+            return;
+        }
+
+        const item = e.target.closest('.menu-item');
+        if (!item || item.parentElement !== menu) return;
+
+        const items = getItems();
+        const index = items.indexOf(item);
+        switch (getLogicalKey(e.key, dropdown)) {
+            case 'ArrowDown':
+                focusItem(items[(index + 1) % items.length]);
+                break;
+            case 'ArrowUp':
+                focusItem(items[(index - 1 + items.length) % items.length]);
+                break;
+            case 'Home':
+                focusItem(items[0]);
+                break;
+            case 'End':
+                focusItem(items[items.length - 1]);
+                break;
+            case 'ArrowLeft':
+                if (!isNested()) return;
+                closeMenu(true);
+                break;
+            case 'Escape':
+                closeMenu(true);
+                break;
+            case 'Enter':
+            case ' ': {
+                const link = item.querySelector(':scope > a');
+                (link?.hasAttribute('href') ? link : item).click();
+                break;
+            }
+            case 'Tab':
+                closeMenu();
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+    });
+
+    document.addEventListener('click', (e) => {
+        if (isOpen() && !dropdown.contains(e.target)) {
+            closeMenu();
+        }
+    });
+}
+
+/**
+ * Copy text to the clipboard.
+ *
+ * This function writes the provided text to the clipboard using the Clipboard API. If
+ * the API is not available, for example on pages not served over a secure connection,
+ * it falls back to copying the text from a temporary text area.
+ *
+ * @param {string} text The text to copy.
+ * @returns {Promise<void>} A promise that resolves when the text is copied.
+ */
+function copyToClipboard(text) {
+    if (navigator.clipboard?.writeText) {
+        return navigator.clipboard.writeText(text);
+    }
+
+    return new Promise((resolve, reject) => {
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.setAttribute('readonly', '');
+        textArea.className = 'visually-hidden';
+        document.body.appendChild(textArea);
+        textArea.select();
+        try {
+            if (document.execCommand('copy')) {
+                resolve();
+            } else {
+                reject(new Error('Copy command failed'));
+            }
+        } catch (e) {
+            reject(e);
+        } finally {
+            textArea.remove();
+        }
+    });
+}
+
+/**
+ * Scroll the article to an element.
+ *
+ * This function scrolls the article container so that the provided element appears at
+ * its top, leaving room for the sticky page header if it overlaps the article.
+ *
+ * @param {Element} element The element to scroll to.
+ * @param {ScrollBehavior} behavior The scroll behavior, either 'auto' or 'smooth'.
+ */
+function scrollArticleTo(element, behavior = 'auto') {
+    const content = document.getElementById('article');
+    if (!content || !content.contains(element)) {
+        element.scrollIntoView({ behavior });
+        return;
+    }
+
+    const margin = 8;
+    const header = document.querySelector('.header');
+    const contentTop = content.getBoundingClientRect().top;
+    const headerOverlap = header ? Math.max(0, header.getBoundingClientRect().bottom - contentTop) : 0;
+
+    content.scrollTo({
+        top: element.getBoundingClientRect().top - contentTop + content.scrollTop - headerOverlap - margin,
+        behavior
+    });
+}
+
+/**
+ * Scroll the article to the element referenced by the URL hash.
+ *
+ * This function scrolls the article to the element whose id is the fragment of the URL of
+ * the current page, if any. The theme calls it once the page is set up and whenever the
+ * hash changes, after the components have prepared the target, for example by expanding
+ * the member that contains it.
+ *
+ * @param {ScrollBehavior} behavior The scroll behavior, either 'auto' or 'smooth'.
+ * @returns {Element|null} The element referenced by the URL hash, or null if there is none.
+ */
+function scrollToUrlHash(behavior = 'auto') {
+    if (window.location.hash.length <= 1) return null;
+
+    const target = document.getElementById(decodeURIComponent(window.location.hash.substring(1)));
+    if (target) {
+        scrollArticleTo(target, behavior);
+    }
+    return target;
+}
+
+/**
+ * Create a slug from a text.
+ *
+ * This function turns the provided text into a lowercase identifier made of letters,
+ * digits and hyphens, with the diacritics of the letters removed.
+ *
+ * @param {string} text The text to create the slug from.
+ * @returns {string} The slug of the text, which is empty if the text has no letters or digits.
+ */
+function createSlug(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Create an id that is unique in the document.
+ *
+ * This function returns the provided slug if no element of the document has it as id, or
+ * otherwise the slug followed by the first number that makes it unique.
+ *
+ * @param {string} slug The preferred id.
+ * @returns {string} The unique id.
+ */
+function createUniqueId(slug) {
+    let id = slug;
+    for (let i = 1; document.getElementById(id); i++) {
+        id = `${slug}-${i}`;
+    }
+    return id;
+}
+
+/**
+ * Assign an id to a heading.
+ *
+ * This function gives the heading a unique id derived from its text, unless it already
+ * has an id, so that links to the section remain valid as long as the text is unchanged.
+ *
+ * @param {Element} heading The heading element.
+ * @returns {string} The id of the heading.
+ */
+function assignHeadingId(heading) {
+    if (!heading.id) {
+        heading.id = createUniqueId(createSlug(heading.textContent) || 'section');
+    }
+    return heading.id;
+}
+
+/**
+ * Get the available color schemes.
+ *
+ * This function returns the color schemes declared by the `colorSchemes` theme parameter.
+ * Each color scheme has a `name` used as the value of the `data-color-mode` attribute of
+ * the root element, a `title` displayed to users, and a `colorScheme` that tells whether
+ * the scheme is light, dark, or adapts to the system preference. Schemes without a title
+ * use the user interface string named after the scheme, such as `highContrastColorScheme`
+ * for the `high-contrast` scheme, or else their name.
+ *
+ * @returns {Object[]} The list of available color schemes.
+ */
+function getColorSchemes() {
+    const schemes = window.kampose?.config?.colorSchemes;
+    if (!Array.isArray(schemes)) return [];
+
+    return schemes
+        .filter(scheme => scheme && typeof scheme.name === 'string' && scheme.name && scheme.name !== 'system')
+        .map(scheme => ({
+            name: scheme.name,
+            title: scheme.title || getSchemeTitle(scheme.name),
+            colorScheme: ['light', 'dark'].includes(scheme.colorScheme) ? scheme.colorScheme : 'light dark'
+        }));
+
+    function getSchemeTitle(name) {
+        const key = `${name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())}ColorScheme`;
+        const title = getUiString(key);
+        return title !== key ? title : name;
+    }
 }
 
 /**
  * Apply the selected color mode.
  *
- * This function applies the selected color mode to the document by
- * setting the appropriate CSS properties and attributes.
+ * This function applies the selected color mode to the document by setting the
+ * appropriate CSS properties and attributes. If the mode is not one of the available
+ * color schemes, the system preference is followed. A `kampose:color-mode-change` event
+ * is dispatched on the document to notify other components about the change.
  *
- * @param {string} mode The color mode to apply ('light' or 'dark').
+ * @param {string} mode The name of the color scheme to apply, or 'system'.
+ * @returns {string} The name of the applied color scheme, or 'system'.
  */
 function applyColorMode(mode) {
     const root = document.documentElement;
-    if (['light', 'dark'].includes(mode)) {
-        root.style.setProperty('color-scheme', mode);
-        root.setAttribute('data-color-mode', mode);
+    const scheme = getColorSchemes().find(scheme => scheme.name === mode);
+    if (scheme) {
+        root.style.setProperty('color-scheme', scheme.colorScheme);
+        root.setAttribute('data-color-mode', scheme.name);
+        if (scheme.colorScheme === 'light dark') {
+            root.removeAttribute('data-color-scheme');
+        } else {
+            root.setAttribute('data-color-scheme', scheme.colorScheme);
+        }
     } else {
         root.style.removeProperty('color-scheme');
         root.removeAttribute('data-color-mode');
+        root.removeAttribute('data-color-scheme');
     }
+
+    const appliedMode = scheme ? scheme.name : 'system';
+    document.dispatchEvent(new CustomEvent('kampose:color-mode-change', { detail: { mode: appliedMode } }));
+    return appliedMode;
 }
+
+/**
+ * Get the shared utilities of the theme.
+ *
+ * This function returns the helper functions that the components of the theme share, so
+ * that components of derived themes can use them through the `utils` of their setup
+ * context or `window.kampose.utils` rather than through global functions.
+ *
+ * @returns {Object} The shared utilities keyed by function name.
+ */
+function getThemeUtilities() {
+    return {
+        retrieveFromLocalStorage,
+        storeInLocalStorage,
+        debounce,
+        escapeHtml,
+        escapeRegex,
+        isInView,
+        isRelativeUrl,
+        isRightToLeft,
+        getLogicalKey,
+        resolveBaseUrl,
+        parseSearchQuery,
+        matchesSearchQualifiers,
+        getTopicsFromSitemap,
+        getTopicFromSitemapBtSlug,
+        activateDropdown,
+        copyToClipboard,
+        scrollArticleTo,
+        scrollToUrlHash,
+        createSlug,
+        createUniqueId,
+        assignHeadingId,
+        getColorSchemes,
+        applyColorMode,
+        getUiString,
+        localizeElements
+    };
+}
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * Setup the documentation version switcher.
+ *
+ * This function loads the manifest of the published documentation versions and adds a
+ * dropdown to the menu bar for switching between them. Choosing a version opens the same
+ * page in that version when the page exists in its sitemap, or otherwise the nearest
+ * ancestor page that exists, or the home page of that version. When the current version
+ * is outdated or a prerelease, a banner is shown in the header of the page.
+ *
+ * @returns {boolean} True if the version switcher was set up, false otherwise.
+ */
+function setupVersionSwitcher() {
+    const manifestUri = window.kampose.config.versionManifestUri;
+    if (!manifestUri || window.location.protocol === 'file:') return false;
+
+    const menuBar = document.getElementById('menubar');
+    const menu = menuBar?.querySelector(':scope > .menu');
+    if (!menu) return false;
+
+    const baseUrl = resolveBaseUrl(menuBar);
+    const manifestUrl = new URL(manifestUri, baseUrl).href;
+    const sitemaps = new Map();
+
+    fetch(manifestUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`Failed to load ${manifestUrl}`);
+            return response.json();
+        })
+        .then(manifest => {
+            const versions = (Array.isArray(manifest) ? manifest : [])
+                .filter(entry => entry && entry.version && entry.url)
+                .map(entry => ({
+                    ...entry,
+                    title: entry.title || String(entry.version),
+                    url: toDirectoryUrl(new URL(entry.url, manifestUrl).href)
+                }));
+
+            if (versions.length === 0) return;
+
+            const current = versions.find(version => version.url === baseUrl) || null;
+            createSwitcher(versions, current);
+            createBanner(versions, current);
+        })
+        .catch(error => console.warn('Failed to load the documentation versions:', error));
+
+    return true;
+
+    function toDirectoryUrl(url) {
+        const parsed = new URL(url);
+        parsed.search = '';
+        parsed.hash = '';
+        if (!parsed.pathname.endsWith('/')) {
+            parsed.pathname = parsed.pathname.substring(0, parsed.pathname.lastIndexOf('/') + 1);
+        }
+        return parsed.href;
+    }
+
+    function createSwitcher(versions, current) {
+        const switcher = document.createElement('li');
+        switcher.id = 'version-switcher';
+        switcher.className = 'menu-item has-submenu';
+        switcher.setAttribute('role', 'menuitem');
+        switcher.setAttribute('aria-label', current ? getUiString('documentationVersionNamed', { version: current.title }) : getUiString('documentationVersion'));
+        switcher.tabIndex = -1;
+
+        const trigger = document.createElement('a');
+        const label = document.createElement('span');
+        label.className = 'version-label';
+        label.textContent = current ? current.title : getUiString('versions');
+        trigger.appendChild(label);
+        switcher.appendChild(trigger);
+
+        const list = document.createElement('ul');
+        list.className = 'menu';
+        list.setAttribute('role', 'menu');
+        list.setAttribute('aria-labelledby', 'version-switcher');
+        list.tabIndex = -1;
+        versions.forEach(version => list.appendChild(createMenuItem(version, version === current)));
+        switcher.appendChild(list);
+
+        const colorModeSelector = document.getElementById('color-mode');
+        menu.insertBefore(switcher, colorModeSelector?.parentElement === menu ? colorModeSelector : null);
+        activateDropdown(switcher);
+    }
+
+    function createMenuItem(version, isCurrent) {
+        const item = document.createElement('li');
+        item.className = 'menu-item';
+        item.dataset.version = version.version;
+        item.setAttribute('role', 'menuitemradio');
+        item.setAttribute('aria-checked', isCurrent ? 'true' : 'false');
+        item.tabIndex = -1;
+
+        const link = document.createElement('a');
+        link.href = version.url;
+
+        const title = document.createElement('span');
+        title.textContent = version.title;
+        link.appendChild(title);
+
+        const tag = version.prerelease ? 'prerelease' : version.latest ? 'latest' : null;
+        if (tag) {
+            const badge = document.createElement('span');
+            badge.className = `version-tag version-${tag}`;
+            badge.textContent = getUiString(`${tag}Version`);
+            link.appendChild(badge);
+        }
+
+        item.appendChild(link);
+        item.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (!isCurrent) {
+                switchTo(version);
+            }
+        });
+
+        return item;
+    }
+
+    function createBanner(versions, current) {
+        if (!current) return;
+
+        const latest = versions.find(version => version.latest && version !== current);
+        const text = current.prerelease
+            ? window.kampose.config.prereleaseVersionBanner
+            : !current.latest && latest ? window.kampose.config.outdatedVersionBanner : null;
+
+        const header = document.querySelector('.header');
+        if (!text || !header) return;
+
+        const banner = document.createElement('div');
+        banner.className = `version-banner ${current.prerelease ? 'is-prerelease' : 'is-outdated'}`;
+        banner.setAttribute('role', 'note');
+
+        const message = document.createElement('span');
+        message.textContent = text.replace(/\{version\}/g, current.title);
+        banner.appendChild(message);
+
+        if (latest) {
+            const link = document.createElement('a');
+            link.href = latest.url;
+            link.textContent = getUiString('goToVersion', { version: latest.title });
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                switchTo(latest);
+            });
+            banner.appendChild(link);
+        }
+
+        header.appendChild(banner);
+    }
+
+    function switchTo(version) {
+        resolvePageUrl(version).then(url => window.location.href = url);
+    }
+
+    function resolvePageUrl(version) {
+        const pageUrl = window.location.origin + window.location.pathname;
+        if (!pageUrl.startsWith(baseUrl)) return Promise.resolve(version.url);
+
+        const path = pageUrl.substring(baseUrl.length);
+        if (!path) return Promise.resolve(version.url);
+
+        return loadSitemapUrls(version)
+            .then(urls => {
+                const candidates = [path, ...(findAncestorPaths(window.kampose.sitemap || [], path) || [])];
+                const match = candidates.find(candidate => urls.has(candidate) || urls.has(decodeURI(candidate)));
+                if (!match) return version.url;
+                return version.url + match + (match === path ? window.location.hash : '');
+            })
+            .catch(() => version.url);
+    }
+
+    function loadSitemapUrls(version) {
+        if (!sitemaps.has(version.url)) {
+            const sitemapUrl = version.url + 'sitemap.json';
+            sitemaps.set(version.url, fetch(sitemapUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to load ${sitemapUrl}`);
+                    return response.json();
+                })
+                .then(sitemap => {
+                    const urls = new Set();
+                    const collectUrls = (items) => {
+                        items.forEach(item => {
+                            if (item.url) {
+                                urls.add(item.url);
+                                urls.add(decodeURI(item.url));
+                            }
+                            if (item.items) {
+                                collectUrls(item.items);
+                            }
+                        });
+                    };
+                    collectUrls(Array.isArray(sitemap) ? sitemap : []);
+                    return urls;
+                }));
+        }
+        return sitemaps.get(version.url);
+    }
+
+    function findAncestorPaths(items, path) {
+        for (const item of items) {
+            if (item.url === path || (item.url && decodeURI(item.url) === decodeURI(path))) return [];
+            if (item.items) {
+                const ancestors = findAncestorPaths(item.items, path);
+                if (ancestors) {
+                    return item.url ? [...ancestors, item.url] : ancestors;
+                }
+            }
+        }
+        return null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Service worker for offline reading of the documentation.
+ *
+ * The service worker precaches the bundled style and script files, the syntax highlighter,
+ * and every page listed in the sitemap of the documentation, a few files at a time. Pages
+ * and the bundled script are served network-first and fall back to the cache when offline,
+ * so that a reader online always gets the build identifier of the published build. Other
+ * files are served cache-first.
+ *
+ * Each build of the documentation registers the service worker with its own build
+ * identifier, so that a new build is precached in the background into a separate cache
+ * while the pages of the previous build are still served. The new build takes over when
+ * a page asks the waiting service worker to activate.
+ */
+(function () {
+    'use strict';
+
+    const cachePrefix = 'kampose-';
+    const buildId = new URL(self.location.href).searchParams.get('build') || 'default';
+    const cacheName = `${cachePrefix}${new URL(self.registration.scope).pathname}@${buildId}`;
+    const coreAssets = ['./', 'style.css', 'script.js', 'prism.min.js'];
+    const networkFirstAssets = new Set(['script.js'].map(url => new URL(url, self.registration.scope).href));
+    const precacheConcurrency = 6;
+
+    self.addEventListener('install', (e) => {
+        e.waitUntil(precache());
+    });
+
+    self.addEventListener('activate', (e) => {
+        e.waitUntil(caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== cacheName && isCacheOfScope(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim()));
+    });
+
+    self.addEventListener('message', (e) => {
+        if (e.data?.type === 'skip-waiting') {
+            self.skipWaiting();
+        }
+    });
+
+    self.addEventListener('fetch', (e) => {
+        const request = e.request;
+        if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+        e.respondWith(caches.open(cacheName).then(cache => isNetworkFirst(request)
+            ? fetchAndCache(cache, request).catch(() => matchCached(cache, request).then(cached => cached || Response.error()))
+            : matchCached(cache, request).then(cached => cached || fetchAndCache(cache, request))));
+    });
+
+    function isNetworkFirst(request) {
+        const url = new URL(request.url);
+        url.search = '';
+        return request.mode === 'navigate' || networkFirstAssets.has(url.href);
+    }
+
+    function matchCached(cache, request) {
+        return cache.match(request, { ignoreSearch: true });
+    }
+
+    function fetchAndCache(cache, request) {
+        return fetch(request).then(response => {
+            if (response.ok && response.type === 'basic') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+    }
+
+    function precache() {
+        return caches.open(cacheName).then(cache => fetchSitemapUrls().then(urls => {
+            const queue = [...coreAssets, ...urls];
+            const next = () => queue.length !== 0 ? precacheUrl(cache, queue.shift()).then(next) : undefined;
+            return Promise.all(Array.from({ length: precacheConcurrency }, next));
+        }));
+    }
+
+    function precacheUrl(cache, url) {
+        const request = new Request(new URL(url, self.registration.scope).href, { cache: 'reload' });
+        return fetch(request)
+            .then(response => response.ok ? cache.put(request, response) : undefined)
+            .catch(() => undefined);
+    }
+
+    function fetchSitemapUrls() {
+        const sitemapUrl = new URL('sitemap.json', self.registration.scope).href;
+        return fetch(sitemapUrl, { cache: 'reload' })
+            .then(response => response.ok ? response.json() : [])
+            .then(sitemap => {
+                const urls = new Set();
+                const collectUrls = (items) => {
+                    items.forEach(item => {
+                        if (item.url) {
+                            urls.add(item.url);
+                        }
+                        if (Array.isArray(item.items)) {
+                            collectUrls(item.items);
+                        }
+                    });
+                };
+                collectUrls(Array.isArray(sitemap) ? sitemap : []);
+                return Array.from(urls);
+            })
+            .catch(() => []);
+    }
+
+    function isCacheOfScope(name) {
+        return name.startsWith(`${cachePrefix}${new URL(self.registration.scope).pathname}@`);
+    }
+})();
\ No newline at end of file
@@ -13,6 +13,7 @@ namespace Kampose.Builders
     using Kampute.DocToolkit.Support;
     using System;
     using System.Collections.Generic;
+    using System.Globalization;
     using System.Reflection;
 
     /// <summary>
@@ -98,6 +99,7 @@ namespace Kampose.Builders
         {
             renderer.CommonData["language"] = context.Language;
             renderer.CommonData["generator"] = $"{nameof(Kampose)} [Version {Assembly.GetExecutingAssembly().GetName().Version}]";
+            renderer.CommonData["buildId"] = DateTime.UtcNow.ToString("yyyyMMddHHmmssfff", CultureInfo.InvariantCulture);
             renderer.CommonData["absoluteUrls"] = context.AddressProvider.ActiveScope.RootUrl.IsAbsoluteUri;
             renderer.CommonData["hasNamespacePages"] = context.Assemblies.Count > 0 && context.AddressProvider.Granularity.HasFlag(PageGranularity.Namespace);
             renderer.CommonData["hasTypePages"] = context.Assemblies.Count > 0 && context.AddressProvider.Granularity.HasFlag(PageGranularity.Type);
@@ -0,0 +1,98 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Models
+{
+    using System;
+    using System.Text.Json.Serialization;
+
+    /// <summary>
+    /// Represents a searchable documentation page in the full-text search index.
+    /// </summary>
+    /// <remarks>
+    /// The search index is consumed by theme scripts to find pages by their title, summary, and body text. To keep
+    /// the index compact, the content of each entry is plain text without any markup.
+    /// </remarks>
+    public sealed class SearchIndexEntry
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="SearchIndexEntry"/> class.
+        /// </summary>
+        /// <param name="title">The title of the page.</param>
+        /// <param name="url">The URL of the page relative to the documentation root.</param>
+        /// <param name="summary">The plain text summary of the page, or <see langword="null"/> if the page has no summary.</param>
+        /// <param name="body">The plain text content of the page.</param>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="title"/> is <see langword="null"/> or whitespace.</exception>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="url"/> or <paramref name="body"/> is <see langword="null"/>.</exception>
+        public SearchIndexEntry(string title, Uri url, string? summary, string body)
+        {
+            ArgumentException.ThrowIfNullOrWhiteSpace(title);
+            ArgumentNullException.ThrowIfNull(url);
+            ArgumentNullException.ThrowIfNull(body);
+
+            Title = title;
+            Url = url;
+            Summary = string.IsNullOrWhiteSpace(summary) ? null : summary;
+            Body = body;
+        }
+
+        /// <summary>
+        /// Gets the title of the page.
+        /// </summary>
+        /// <value>
+        /// The title of the page.
+        /// </value>
+        public string Title { get; }
+
+        /// <summary>
+        /// Gets the URL of the page relative to the documentation root.
+        /// </summary>
+        /// <value>
+        /// The <see cref="Uri"/> pointing to the page, relative to the documentation root.
+        /// </value>
+        public Uri Url { get; }
+
+        /// <summary>
+        /// Gets the kind of the documentation model represented by the page.
+        /// </summary>
+        /// <value>
+        /// The lowercase kind of the model (for example, <c>topic</c> or <c>class</c>), or <see langword="null"/> if unknown.
+        /// </value>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Kind { get; init; }
+
+        /// <summary>
+        /// Gets the namespace that contains the documentation model represented by the page.
+        /// </summary>
+        /// <value>
+        /// The name of the containing namespace, or <see langword="null"/> if the page is not part of a namespace.
+        /// </value>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Namespace { get; init; }
+
+        /// <summary>
+        /// Gets the plain text summary of the page.
+        /// </summary>
+        /// <value>
+        /// The plain text summary of the page, or <see langword="null"/> if the page has no summary.
+        /// </value>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Summary { get; }
+
+        /// <summary>
+        /// Gets the plain text content of the page.
+        /// </summary>
+        /// <value>
+        /// The plain text content of the page with collapsed whitespace.
+        /// </value>
+        public string Body { get; }
+
+        /// <summary>
+        /// Returns a string representation of the current object.
+        /// </summary>
+        /// <returns>The value of the <see cref="Title"/> property.</returns>
+        public override string ToString() => Title;
+    }
+}
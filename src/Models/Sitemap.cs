@@ -96,11 +96,11 @@ namespace Kampose.Models
                 if (topic.Subtopics.Count > 0)
                 {
                     var subtopicElements = CreateTopicHierarchyNodes(topic.Subtopics);
-                    yield return new SitemapNode(topic.Name, EnsureRelative(topic.Url), subtopicElements);
+                    yield return new SitemapNode(topic.Name, EnsureRelative(topic.Url), subtopicElements) { Kind = NodeKinds.Topic };
                 }
                 else
                 {
-                    yield return new SitemapNode(topic.Name, EnsureRelative(topic.Url));
+                    yield return new SitemapNode(topic.Name, EnsureRelative(topic.Url)) { Kind = NodeKinds.Topic };
                 }
             }
         }
@@ -132,7 +132,7 @@ namespace Kampose.Models
                 ? ns.Types.Select(type => CreateTypeNode(type, granularity))
                 : [];
 
-            return new(ns.Name, EnsureRelative(ns.Url), nsTypes);
+            return new(ns.Name, EnsureRelative(ns.Url), nsTypes) { Kind = NodeKinds.Namespace };
         }
 
         /// <summary>
@@ -147,7 +147,7 @@ namespace Kampose.Models
                 ? CreateMemberGroups(type.Members)
                 : [];
 
-            return new(type.Name, EnsureRelative(type.Url), typeMembers);
+            return new(type.Name, EnsureRelative(type.Url), typeMembers) { Kind = GetTypeKind(type) };
         }
 
         /// <summary>
@@ -165,14 +165,14 @@ namespace Kampose.Models
                 if (group.Key == GroupNames.Constructors)
                 {
                     var representative = group.First();
-                    yield return new(group.Key, EnsureRelative(representative.Url));
+                    yield return new(group.Key, EnsureRelative(representative.Url)) { Kind = NodeKinds.Constructor };
                 }
                 else
                 {
                     var representative = group
                         .GroupBy(member => member.Name)
                         .Select(overloads => overloads.First())
-                        .Select(member => new SitemapNode(member.Name, EnsureRelative(member.Url)));
+                        .Select(member => new SitemapNode(member.Name, EnsureRelative(member.Url)) { Kind = GetMemberKind(member) });
 
                     yield return new(group.Key, representative);
                 }
@@ -195,6 +195,37 @@ namespace Kampose.Models
             _ => string.Empty
         };
 
+        /// <summary>
+        /// Returns the kind of a type, based on its model.
+        /// </summary>
+        /// <param name="type">The type to categorize.</param>
+        /// <returns>The kind of the type.</returns>
+        private static string GetTypeKind(TypeModel type) => type switch
+        {
+            ClassModel => NodeKinds.Class,
+            StructModel => NodeKinds.Struct,
+            InterfaceModel => NodeKinds.Interface,
+            EnumModel => NodeKinds.Enum,
+            DelegateModel => NodeKinds.Delegate,
+            _ => NodeKinds.Type
+        };
+
+        /// <summary>
+        /// Returns the kind of a type member, based on its model.
+        /// </summary>
+        /// <param name="member">The member to categorize.</param>
+        /// <returns>The kind of the member.</returns>
+        private static string GetMemberKind(TypeMemberModel member) => member switch
+        {
+            PropertyModel => NodeKinds.Property,
+            MethodModel => NodeKinds.Method,
+            EventModel => NodeKinds.Event,
+            ConstructorModel => NodeKinds.Constructor,
+            OperatorModel => NodeKinds.Operator,
+            FieldModel => NodeKinds.Field,
+            _ => NodeKinds.Member
+        };
+
         /// <summary>
         /// Converts the specified <see cref="Uri"/> to a relative URL (relative to the documentation root) and removes any fragment.
         /// </summary>
@@ -223,5 +254,89 @@ namespace Kampose.Models
             public const string Operators = "Operators";
             public const string ExplicitInterfaceImplementations = "Explicit Interface Implementations";
         }
+
+        /// <summary>
+        /// Represents the kinds of documentation models in the sitemap.
+        /// </summary>
+        /// <remarks>
+        /// The kinds are written to the sitemap and the search index, where theme scripts use them to filter and decorate the pages.
+        /// </remarks>
+        public static class NodeKinds
+        {
+            /// <summary>
+            /// The kind of a node representing a topic.
+            /// </summary>
+            public const string Topic = "topic";
+
+            /// <summary>
+            /// The kind of a node representing a namespace.
+            /// </summary>
+            public const string Namespace = "namespace";
+
+            /// <summary>
+            /// The kind of a node representing a type of an unknown category.
+            /// </summary>
+            public const string Type = "type";
+
+            /// <summary>
+            /// The kind of a node representing a class.
+            /// </summary>
+            public const string Class = "class";
+
+            /// <summary>
+            /// The kind of a node representing a structure.
+            /// </summary>
+            public const string Struct = "struct";
+
+            /// <summary>
+            /// The kind of a node representing an interface.
+            /// </summary>
+            public const string Interface = "interface";
+
+            /// <summary>
+            /// The kind of a node representing an enumeration.
+            /// </summary>
+            public const string Enum = "enum";
+
+            /// <summary>
+            /// The kind of a node representing a delegate.
+            /// </summary>
+            public const string Delegate = "delegate";
+
+            /// <summary>
+            /// The kind of a node representing a type member of an unknown category.
+            /// </summary>
+            public const string Member = "member";
+
+            /// <summary>
+            /// The kind of a node representing the constructors of a type.
+            /// </summary>
+            public const string Constructor = "constructor";
+
+            /// <summary>
+            /// The kind of a node representing a field.
+            /// </summary>
+            public const string Field = "field";
+
+            /// <summary>
+            /// The kind of a node representing a property.
+            /// </summary>
+            public const string Property = "property";
+
+            /// <summary>
+            /// The kind of a node representing a method.
+            /// </summary>
+            public const string Method = "method";
+
+            /// <summary>
+            /// The kind of a node representing an event.
+            /// </summary>
+            public const string Event = "event";
+
+            /// <summary>
+            /// The kind of a node representing an operator.
+            /// </summary>
+            public const string Operator = "operator";
+        }
     }
 }
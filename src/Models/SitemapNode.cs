@@ -78,6 +78,19 @@ namespace Kampose.Models
         /// </value>
         public string Title { get; }
 
+        /// <summary>
+        /// Gets the kind of the documentation model represented by the sitemap node.
+        /// </summary>
+        /// <value>
+        /// The lowercase kind of the model (for example, <c>topic</c>, <c>namespace</c>, <c>class</c>, or <c>method</c>),
+        /// or <see langword="null"/> if the node is a group that does not represent a specific model.
+        /// </value>
+        /// <remarks>
+        /// Theme scripts use the kind to filter and decorate navigation items without inspecting the page URLs.
+        /// </remarks>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Kind { get; init; }
+
         /// <summary>
         /// Gets the URL of the documentation page relative to the documentation root.
         /// </summary>
@@ -7,7 +7,7 @@ namespace Kampose.Models
 {
     using System;
     using System.Collections;
-    using System.Collections.Generic;
+    using System.Linq;
     using System.Text.Json;
     using System.Text.Json.Serialization;
 
@@ -61,6 +61,10 @@ namespace Kampose.Models
         /// <param name="value">The value to validate.</param>
         /// <returns>The validated value.</returns>
         /// <exception cref="FormatException">Thrown when the value's type doesn't match the expected parameter type.</exception>
+        /// <remarks>
+        /// JSON arrays and objects are converted to lists and dictionaries of plain values, including their nested arrays and objects,
+        /// so that templates can look up their items.
+        /// </remarks>
         public object? ValidateValue(object? value)
         {
             switch (value)
@@ -92,11 +96,21 @@ namespace Kampose.Models
                 ThemeParameterType.Boolean when element.ValueKind is JsonValueKind.False or JsonValueKind.True => element.GetBoolean(),
                 ThemeParameterType.Uri when element.ValueKind is JsonValueKind.String => Uri.TryCreate(element.GetString(), UriKind.RelativeOrAbsolute, out var uri)
                     ? uri : throw new JsonException($"A valid URI was expected: {element.GetRawText()}"),
-                ThemeParameterType.Array when element.ValueKind is JsonValueKind.Array => element.Deserialize<IEnumerable<object>>(),
-                ThemeParameterType.Object when element.ValueKind is JsonValueKind.Object => element.Deserialize<IDictionary<string, object>>(),
+                ThemeParameterType.Array when element.ValueKind is JsonValueKind.Array => ToPlainValue(element),
+                ThemeParameterType.Object when element.ValueKind is JsonValueKind.Object => ToPlainValue(element),
                 _ => throw new JsonException($"{expectedType} was expected but {AsString(element.ValueKind)} was provided: {element.GetRawText()}")
             };
 
+            static object? ToPlainValue(JsonElement element) => element.ValueKind switch
+            {
+                JsonValueKind.Object => element.EnumerateObject().ToDictionary(property => property.Name, property => ToPlainValue(property.Value)),
+                JsonValueKind.Array => element.EnumerateArray().Select(ToPlainValue).ToList(),
+                JsonValueKind.String => element.GetString(),
+                JsonValueKind.Number => element.GetDouble(),
+                JsonValueKind.True or JsonValueKind.False => element.GetBoolean(),
+                _ => null
+            };
+
             static string AsString(JsonValueKind kind) => kind is JsonValueKind.True or JsonValueKind.False ? "boolean" : kind.ToString().ToLowerInvariant();
         }
     }
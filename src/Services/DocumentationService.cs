@@ -21,10 +21,21 @@ namespace Kampose.Services
     /// </summary>
     public class DocumentationService
     {
+        /// <summary>
+        /// The path of the full-text search index script relative to the output directory.
+        /// </summary>
+        private const string SearchIndexPath = "search-index.js";
+
+        /// <summary>
+        /// The path of the sitemap file relative to the output directory.
+        /// </summary>
+        private const string SitemapPath = "sitemap.json";
+
         private static readonly AsyncLocal<TemplateRenderer?> currentRenderer = new();
 
         private readonly IActivityReporter reporter;
         private readonly AssetBundlerService assetBundler;
+        private readonly SearchIndexService searchIndexer;
 
         /// <summary>
         /// Gets the current template renderer being used for documentation generation.
@@ -43,6 +54,7 @@ namespace Kampose.Services
         {
             this.reporter = reporter ?? throw new ArgumentNullException(nameof(reporter));
             assetBundler = new AssetBundlerService(reporter);
+            searchIndexer = new SearchIndexService(reporter);
         }
 
         /// <summary>
@@ -63,11 +75,16 @@ namespace Kampose.Services
             var totalSteps = context.Sitemap.PageCount
                            + context.Assets.Count
                            + theme.ScriptFiles.Count
-                           + theme.StyleFiles.Count;
+                           + theme.StyleFiles.Count
+                           + (theme.ScriptFiles.Count != 0 ? 2 : 0)
+                           + (OpenSearchDescription.IsEnabled(renderer.CommonData, context.AddressProvider.ActiveScope.RootUrl) ? 1 : 0);
 
             using (reporter.BeginActivity("Generating documentation", totalSteps))
             {
                 GeneratePages(renderer, context, outputDir);
+                GenerateSearchIndex(context, theme, outputDir);
+                GenerateSitemapFile(context, theme, outputDir);
+                GenerateOpenSearchDescription(context, renderer.CommonData, outputDir);
                 BundleThemeScripts(context, theme, renderer.CommonData, outputDir);
                 BundleThemeStyles(theme, outputDir);
                 CopyAssets(context);
@@ -96,6 +113,98 @@ namespace Kampose.Services
             }
         }
 
+        /// <summary>
+        /// Generates the full-text search index of the generated pages and writes it as a script to the output directory.
+        /// </summary>
+        /// <param name="context">The documentation context whose sitemap lists the pages to index.</param>
+        /// <param name="theme">The theme used for generating the pages.</param>
+        /// <param name="outputDir">The output directory where the pages were generated.</param>
+        /// <remarks>
+        /// The search index is only useful to themes with scripts, so it is skipped for themes without them. The script assigns
+        /// the index to the <c>kampose.searchIndex</c> global variable, which allows themes to load it on demand even when pages
+        /// are viewed from the local file system.
+        /// </remarks>
+        private void GenerateSearchIndex(DocContext context, Theme theme, string outputDir)
+        {
+            if (theme.ScriptFiles.Count == 0)
+                return;
+
+            reporter.BeginActivity("Writing search index");
+
+            var entries = searchIndexer.CreateEntries(context.Sitemap, outputDir);
+
+            using var reusable = StringBuilderPool.Shared.GetBuilder();
+            var script = reusable.Builder
+                .Append("window.kampose.searchIndex = ")
+                .Append(Json.Stringify(entries))
+                .Append(';')
+                .ToString();
+
+            var outputPath = Path.GetFullPath(Path.Combine(outputDir, SearchIndexPath));
+            assetBundler.BundleScriptFiles([], outputPath, script);
+        }
+
+        /// <summary>
+        /// Writes the sitemap of the documentation as a JSON file to the output directory.
+        /// </summary>
+        /// <param name="context">The documentation context whose sitemap is written.</param>
+        /// <param name="theme">The theme used for generating the pages.</param>
+        /// <param name="outputDir">The output directory where the pages were generated.</param>
+        /// <remarks>
+        /// The sitemap file lets theme scripts find out which pages exist in another documentation set, such as the
+        /// documentation of another version of the same project, without loading the scripts of that documentation.
+        /// Like the search index, it is skipped for themes without scripts.
+        /// </remarks>
+        private void GenerateSitemapFile(DocContext context, Theme theme, string outputDir)
+        {
+            if (theme.ScriptFiles.Count == 0)
+                return;
+
+            reporter.BeginActivity("Writing sitemap");
+
+            var outputPath = Path.GetFullPath(Path.Combine(outputDir, SitemapPath));
+            using var _ = reporter.BeginStep(SitemapPath);
+            try
+            {
+                File.WriteAllText(outputPath, Json.Stringify(context.Sitemap));
+            }
+            catch (Exception error)
+            {
+                reporter.LogError($"Failed to write sitemap to '{outputPath}'.", error);
+            }
+        }
+
+        /// <summary>
+        /// Generates the OpenSearch description document of the documentation and writes it to the output directory.
+        /// </summary>
+        /// <param name="context">The documentation context.</param>
+        /// <param name="templateData">The template data available to all templates.</param>
+        /// <param name="outputDir">The output directory where the pages were generated.</param>
+        /// <remarks>
+        /// The description is only written when the theme enables it and the documentation has an absolute base URL. It is
+        /// named after the <c>projectName</c> theme parameter, if any, or else the title of the home page.
+        /// </remarks>
+        private void GenerateOpenSearchDescription(DocContext context, IReadOnlyDictionary<string, object?> templateData, string outputDir)
+        {
+            var rootUrl = context.AddressProvider.ActiveScope.RootUrl;
+            if (!OpenSearchDescription.IsEnabled(templateData, rootUrl))
+                return;
+
+            reporter.BeginActivity("Writing OpenSearch description");
+
+            var title = GetTemplateText(templateData, "projectName") ?? GetTemplateText(templateData, "homePageTitle") ?? "Documentation";
+            var outputPath = Path.GetFullPath(Path.Combine(outputDir, OpenSearchDescription.FilePath));
+            using var _ = reporter.BeginStep(OpenSearchDescription.FilePath);
+            try
+            {
+                OpenSearchDescription.Create(title, rootUrl).Save(outputPath);
+            }
+            catch (Exception error)
+            {
+                reporter.LogError($"Failed to write OpenSearch description to '{outputPath}'.", error);
+            }
+        }
+
         /// <summary>
         /// Generates theme script bundles and copy them to the specified output directory.
         /// </summary>
@@ -177,6 +286,19 @@ namespace Kampose.Services
             File.Copy(sourcePath, targetPath, true);
         }
 
+        /// <summary>
+        /// Gets the non-blank text of a template value.
+        /// </summary>
+        /// <param name="templateData">The template data available to all templates.</param>
+        /// <param name="name">The name of the template value.</param>
+        /// <returns>The text of the template value, or <see langword="null"/> if the value is missing or blank.</returns>
+        private static string? GetTemplateText(IReadOnlyDictionary<string, object?> templateData, string name)
+        {
+            return templateData.TryGetValue(name, out var value) && value?.ToString() is string text && !string.IsNullOrWhiteSpace(text)
+                ? text.Trim()
+                : null;
+        }
+
         /// <summary>
         /// Generates a script containing global variables for the sitemap and theme parameters.
         /// </summary>
@@ -0,0 +1,146 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Services
+{
+    using Kampose.Models;
+    using Kampose.Reporters;
+    using Kampose.Support;
+    using System;
+    using System.Collections.Generic;
+    using System.IO;
+
+    /// <summary>
+    /// Provides functionality for creating the full-text search index of the generated pages.
+    /// </summary>
+    public class SearchIndexService
+    {
+        /// <summary>
+        /// The maximum number of characters of a page's body text to include in the search index.
+        /// </summary>
+        public const int MaxBodyLength = 4096;
+
+        private readonly IActivityReporter reporter;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="SearchIndexService"/> class.
+        /// </summary>
+        /// <param name="reporter">The activity reporter to use for logging messages.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="reporter"/> is <see langword="null"/>.</exception>
+        public SearchIndexService(IActivityReporter reporter)
+        {
+            this.reporter = reporter ?? throw new ArgumentNullException(nameof(reporter));
+        }
+
+        /// <summary>
+        /// Creates the search index entries for the pages of the specified sitemap nodes and their descendants.
+        /// </summary>
+        /// <param name="nodes">The sitemap nodes listing the pages to index.</param>
+        /// <param name="outputDir">The output directory where the pages were generated.</param>
+        /// <returns>A list of <see cref="SearchIndexEntry"/> objects, one for each generated page in the order of the sitemap.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="nodes"/> is <see langword="null"/>.</exception>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="outputDir"/> is <see langword="null"/> or empty.</exception>
+        /// <remarks>
+        /// Pages that are listed more than once in the sitemap are indexed only once, and pages that were not generated are skipped.
+        /// Pages nested in a namespace node are attributed to that namespace.
+        /// </remarks>
+        public IReadOnlyList<SearchIndexEntry> CreateEntries(IEnumerable<SitemapNode> nodes, string outputDir)
+        {
+            ArgumentNullException.ThrowIfNull(nodes);
+            ArgumentException.ThrowIfNullOrEmpty(outputDir);
+
+            var entries = new List<SearchIndexEntry>();
+            var indexedUrls = new HashSet<Uri>();
+            foreach (var node in nodes)
+                AddEntries(node, null, outputDir, entries, indexedUrls);
+
+            return entries;
+        }
+
+        /// <summary>
+        /// Creates a search index entry from the HTML content of a generated page.
+        /// </summary>
+        /// <param name="node">The sitemap node of the page.</param>
+        /// <param name="ns">The name of the namespace containing the page, or <see langword="null"/> if the page is not part of a namespace.</param>
+        /// <param name="html">The HTML content of the page.</param>
+        /// <returns>A <see cref="SearchIndexEntry"/> representing the searchable content of the page.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="node"/> or <paramref name="html"/> is <see langword="null"/>.</exception>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="node"/> does not have a URL.</exception>
+        /// <remarks>
+        /// The title is taken from the first <c>h1</c> element of the page, falling back to the title of the node. The summary is
+        /// taken from the description meta tag, falling back to the first paragraph of the content. The body is the plain text of
+        /// the main content without its header and footer, truncated at a word boundary to <see cref="MaxBodyLength"/> characters.
+        /// </remarks>
+        public static SearchIndexEntry CreateEntry(SitemapNode node, string? ns, string html)
+        {
+            ArgumentNullException.ThrowIfNull(node);
+            ArgumentNullException.ThrowIfNull(html);
+            if (node.Url is null)
+                throw new ArgumentException("The sitemap node must represent a page.", nameof(node));
+
+            var heading = HtmlTextExtractor.GetElementContent(html, "h1");
+            var title = heading is not null ? HtmlTextExtractor.ToPlainText(heading) : string.Empty;
+            if (string.IsNullOrEmpty(title))
+                title = node.Title;
+
+            var content = HtmlTextExtractor.GetElementContent(html, "main") ?? HtmlTextExtractor.GetElementContent(html, "body") ?? html;
+            content = HtmlTextExtractor.RemoveElements(content, "header", "footer", "h1");
+
+            var summary = HtmlTextExtractor.GetMetaContent(html, "description");
+            if (string.IsNullOrEmpty(summary))
+            {
+                var paragraph = HtmlTextExtractor.GetElementContent(content, "p");
+                summary = paragraph is not null ? HtmlTextExtractor.ToPlainText(paragraph) : null;
+            }
+
+            var body = HtmlTextExtractor.ToPlainText(content);
+            if (body.Length > MaxBodyLength)
+            {
+                var wordBoundary = body.LastIndexOf(' ', MaxBodyLength);
+                body = body[..(wordBoundary > 0 ? wordBoundary : MaxBodyLength)];
+            }
+
+            return new SearchIndexEntry(title, node.Url, summary, body)
+            {
+                Kind = node.Kind,
+                Namespace = ns
+            };
+        }
+
+        /// <summary>
+        /// Recursively creates search index entries for the pages of a sitemap node and its descendants.
+        /// </summary>
+        /// <param name="node">The sitemap node to process.</param>
+        /// <param name="ns">The name of the namespace containing the node, or <see langword="null"/> if the node is not part of a namespace.</param>
+        /// <param name="outputDir">The output directory where the pages were generated.</param>
+        /// <param name="entries">The list to which the created entries are added.</param>
+        /// <param name="indexedUrls">The set of page URLs that have already been indexed.</param>
+        private void AddEntries(SitemapNode node, string? ns, string outputDir, List<SearchIndexEntry> entries, HashSet<Uri> indexedUrls)
+        {
+            if (node.Kind == Sitemap.NodeKinds.Namespace)
+                ns = node.Title;
+
+            if (node.Url is not null && indexedUrls.Add(node.Url))
+            {
+                var pagePath = Path.Combine(outputDir, Uri.UnescapeDataString(node.Url.OriginalString));
+                try
+                {
+                    if (File.Exists(pagePath))
+                        entries.Add(CreateEntry(node, ns, File.ReadAllText(pagePath)));
+                }
+                catch (Exception error)
+                {
+                    reporter.LogWarning($"Failed to index page '{pagePath}' for search. {error.Message}");
+                }
+            }
+
+            if (node.Items is not null)
+            {
+                foreach (var child in node.Items)
+                    AddEntries(child, ns, outputDir, entries, indexedUrls);
+            }
+        }
+    }
+}
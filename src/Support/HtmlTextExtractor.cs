@@ -0,0 +1,120 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Support
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Net;
+    using System.Text.RegularExpressions;
+
+    /// <summary>
+    /// Provides methods for extracting plain text from rendered HTML pages.
+    /// </summary>
+    /// <remarks>
+    /// The methods of this class are intended for pages generated by Kampose themes and rely on lightweight pattern
+    /// matching rather than a full HTML parser. Elements of the same name nested inside each other are not supported.
+    /// </remarks>
+    public static partial class HtmlTextExtractor
+    {
+        /// <summary>
+        /// The names of the elements that flow within a line of text, whose tags do not separate words.
+        /// </summary>
+        private static readonly HashSet<string> InlineElements = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "a", "abbr", "b", "bdi", "bdo", "cite", "code", "data", "del", "dfn", "em", "i", "img", "ins", "kbd", "mark",
+            "q", "s", "samp", "small", "span", "strong", "sub", "sup", "time", "u", "var", "wbr"
+        };
+
+        /// <summary>
+        /// Gets the inner HTML of the first element with the specified tag name.
+        /// </summary>
+        /// <param name="html">The HTML content to search.</param>
+        /// <param name="tagName">The name of the element to find.</param>
+        /// <returns>The inner HTML of the first matching element, or <see langword="null"/> if no element is found.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="html"/> is <see langword="null"/>.</exception>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="tagName"/> is <see langword="null"/> or empty.</exception>
+        public static string? GetElementContent(string html, string tagName)
+        {
+            ArgumentNullException.ThrowIfNull(html);
+            ArgumentException.ThrowIfNullOrEmpty(tagName);
+
+            var match = Regex.Match(html, $@"<{tagName}\b[^>]*>(.*?)</{tagName}\s*>", RegexOptions.IgnoreCase | RegexOptions.Singleline);
+            return match.Success ? match.Groups[1].Value : null;
+        }
+
+        /// <summary>
+        /// Gets the value of the <c>content</c> attribute of the <c>meta</c> element with the specified name.
+        /// </summary>
+        /// <param name="html">The HTML content to search.</param>
+        /// <param name="name">The value of the <c>name</c> attribute of the meta element.</param>
+        /// <returns>The decoded content of the meta element, or <see langword="null"/> if no such element is found.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="html"/> is <see langword="null"/>.</exception>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="name"/> is <see langword="null"/> or empty.</exception>
+        public static string? GetMetaContent(string html, string name)
+        {
+            ArgumentNullException.ThrowIfNull(html);
+            ArgumentException.ThrowIfNullOrEmpty(name);
+
+            var match = Regex.Match(html, $@"<meta\s+name=""{Regex.Escape(name)}""\s+content=""([^""]*)""", RegexOptions.IgnoreCase);
+            return match.Success ? CollapseWhitespace(WebUtility.HtmlDecode(match.Groups[1].Value)) : null;
+        }
+
+        /// <summary>
+        /// Removes all elements with the specified tag names, including their content.
+        /// </summary>
+        /// <param name="html">The HTML content to process.</param>
+        /// <param name="tagNames">The names of the elements to remove.</param>
+        /// <returns>The HTML content without the specified elements.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="html"/> or <paramref name="tagNames"/> is <see langword="null"/>.</exception>
+        public static string RemoveElements(string html, params string[] tagNames)
+        {
+            ArgumentNullException.ThrowIfNull(html);
+            ArgumentNullException.ThrowIfNull(tagNames);
+
+            foreach (var tagName in tagNames)
+                html = Regex.Replace(html, $@"<{tagName}\b[^>]*>.*?</{tagName}\s*>", " ", RegexOptions.IgnoreCase | RegexOptions.Singleline);
+
+            return html;
+        }
+
+        /// <summary>
+        /// Converts the specified HTML content to plain text.
+        /// </summary>
+        /// <param name="html">The HTML content to convert.</param>
+        /// <returns>The plain text content with decoded entities and collapsed whitespace.</returns>
+        /// <remarks>
+        /// Scripts, styles, and comments are removed together with their content. The tags of inline elements, such as
+        /// <c>strong</c> or <c>code</c>, are removed, while all other tags are replaced by whitespace to keep the words of
+        /// adjacent block-level elements apart.
+        /// </remarks>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="html"/> is <see langword="null"/>.</exception>
+        public static string ToPlainText(string html)
+        {
+            ArgumentNullException.ThrowIfNull(html);
+
+            var text = RemoveElements(html, "script", "style");
+            text = GetCommentRegex().Replace(text, " ");
+            text = GetTagRegex().Replace(text, match => InlineElements.Contains(match.Groups["name"].Value) ? string.Empty : " ");
+            return CollapseWhitespace(WebUtility.HtmlDecode(text));
+        }
+
+        /// <summary>
+        /// Replaces consecutive whitespace characters with a single space and trims the result.
+        /// </summary>
+        /// <param name="text">The text to process.</param>
+        /// <returns>The text with collapsed whitespace.</returns>
+        private static string CollapseWhitespace(string text) => GetWhitespaceRegex().Replace(text, " ").Trim();
+
+        [GeneratedRegex(@"<!--.*?-->", RegexOptions.Singleline)]
+        private static partial Regex GetCommentRegex();
+
+        [GeneratedRegex(@"<(?:/?(?<name>[a-zA-Z][a-zA-Z0-9-]*)\b)?[^>]*>")]
+        private static partial Regex GetTagRegex();
+
+        [GeneratedRegex(@"\s+")]
+        private static partial Regex GetWhitespaceRegex();
+    }
+}
@@ -9,7 +9,9 @@ namespace Kampose.Support
     using Kampute.DocToolkit.Routing;
     using Markdig;
     using Markdig.Renderers;
+    using Markdig.Renderers.Html;
     using Markdig.Renderers.Html.Inlines;
+    using Markdig.Syntax;
     using Markdig.Syntax.Inlines;
     using System;
     using System.Collections.Generic;
@@ -19,6 +21,11 @@ namespace Kampose.Support
     /// <summary>
     /// Converts Markdown content to HTML.
     /// </summary>
+    /// <remarks>
+    /// Fenced code blocks can specify the lines to emphasize in curly braces after the language, for example
+    /// <c>```csharp {2,5-7}</c>. The line numbers are rendered as a <c>data-line</c> attribute of the code element,
+    /// which is left to the theme scripts to interpret.
+    /// </remarks>
     public sealed partial class MarkdownToHtmlTransformer : ITextTransformer
     {
         private readonly MarkdownPipeline pipeline;
@@ -31,6 +38,7 @@ namespace Kampose.Support
         {
             var pipelineBuilder = new MarkdownPipelineBuilder().UseAdvancedExtensions();
             pipelineBuilder.Extensions.Add(urlReplacementExtension);
+            pipelineBuilder.Extensions.Add(new CodeLineHighlightExtension());
             pipeline = pipelineBuilder.Build();
         }
 
@@ -117,6 +125,55 @@ namespace Kampose.Support
             }
         }
 
+        /// <summary>
+        /// Extension for passing the line highlighting metadata of fenced code blocks to the rendered HTML.
+        /// </summary>
+        private sealed partial class CodeLineHighlightExtension : IMarkdownExtension
+        {
+            /// <summary>
+            /// Registers a handler to process the fenced code blocks of the parsed documents.
+            /// </summary>
+            /// <param name="pipeline">The pipeline builder to configure.</param>
+            public void Setup(MarkdownPipelineBuilder pipeline)
+            {
+                pipeline.DocumentProcessed -= ProcessDocument;
+                pipeline.DocumentProcessed += ProcessDocument;
+            }
+
+            /// <summary>
+            /// No setup needed at rendering stage.
+            /// </summary>
+            /// <param name="pipeline">The pipeline to configure.</param>
+            /// <param name="renderer">The Markdown renderer to configure.</param>
+            public void Setup(MarkdownPipeline pipeline, IMarkdownRenderer renderer) { }
+
+            /// <summary>
+            /// Adds a <c>data-line</c> attribute to the fenced code blocks that specify lines to emphasize.
+            /// </summary>
+            /// <param name="document">The parsed Markdown document.</param>
+            private static void ProcessDocument(MarkdownDocument document)
+            {
+                foreach (var codeBlock in document.Descendants<FencedCodeBlock>())
+                {
+                    if (string.IsNullOrWhiteSpace(codeBlock.Arguments))
+                        continue;
+
+                    var match = GetLineRangesRegex().Match(codeBlock.Arguments);
+                    if (!match.Success)
+                        continue;
+
+                    var lineRanges = GetWhitespaceRegex().Replace(match.Groups["ranges"].Value, string.Empty);
+                    codeBlock.GetAttributes().AddPropertyIfNotExist("data-line", lineRanges);
+                }
+            }
+
+            [GeneratedRegex(@"^\s*\{(?<ranges>\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*)\}\s*$")]
+            private static partial Regex GetLineRangesRegex();
+
+            [GeneratedRegex(@"\s+")]
+            private static partial Regex GetWhitespaceRegex();
+        }
+
         /// <summary>
         /// Custom renderer for replacing URLs in inline Markdown links.
         /// </summary>
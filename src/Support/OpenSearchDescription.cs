@@ -0,0 +1,113 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Support
+{
+    using Kampose.Templates;
+    using System;
+    using System.Collections.Generic;
+    using System.Xml.Linq;
+
+    /// <summary>
+    /// Provides methods for creating the OpenSearch description document of the documentation.
+    /// </summary>
+    /// <remarks>
+    /// The description lets browsers offer to search the documentation from their address bar, by opening the root of the
+    /// documentation with the search terms in the <c>q</c> query parameter.
+    /// </remarks>
+    public static class OpenSearchDescription
+    {
+        /// <summary>
+        /// The path of the OpenSearch description document relative to the output directory.
+        /// </summary>
+        public const string FilePath = "opensearch.xml";
+
+        /// <summary>
+        /// The name of the theme parameter that enables the OpenSearch description document.
+        /// </summary>
+        public const string SettingName = "openSearch";
+
+        /// <summary>
+        /// The maximum number of characters of the short name in an OpenSearch description document.
+        /// </summary>
+        public const int MaxShortNameLength = 16;
+
+        /// <summary>
+        /// The XML namespace of OpenSearch description documents.
+        /// </summary>
+        public static readonly XNamespace Namespace = "http://a9.com/-/spec/opensearch/1.1/";
+
+        /// <summary>
+        /// Determines whether the OpenSearch description document should be generated.
+        /// </summary>
+        /// <param name="templateData">The template data available to all templates, including the theme settings.</param>
+        /// <param name="rootUrl">The root URL of the documentation.</param>
+        /// <returns>
+        /// <see langword="true"/> if the theme enables the document through the <c>openSearch</c> setting and the root URL is
+        /// absolute; otherwise, <see langword="false"/>.
+        /// </returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="templateData"/> or <paramref name="rootUrl"/> is <see langword="null"/>.</exception>
+        /// <remarks>
+        /// Since OpenSearch requires absolute URLs, the document cannot be generated for documentation without an absolute base
+        /// URL. Only themes that handle the <c>q</c> query parameter declare the <c>openSearch</c> setting.
+        /// </remarks>
+        public static bool IsEnabled(IReadOnlyDictionary<string, object?> templateData, Uri rootUrl)
+        {
+            ArgumentNullException.ThrowIfNull(templateData);
+            ArgumentNullException.ThrowIfNull(rootUrl);
+
+            return rootUrl.IsAbsoluteUri
+                && templateData.TryGetValue(SettingName, out var value)
+                && TemplateHelpers.IsTruthy(value);
+        }
+
+        /// <summary>
+        /// Creates the OpenSearch description document of the documentation.
+        /// </summary>
+        /// <param name="title">The title of the documentation.</param>
+        /// <param name="rootUrl">The absolute root URL of the documentation.</param>
+        /// <returns>An <see cref="XDocument"/> containing the OpenSearch description.</returns>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="title"/> is <see langword="null"/> or whitespace, or <paramref name="rootUrl"/> is not absolute.</exception>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="rootUrl"/> is <see langword="null"/>.</exception>
+        /// <remarks>
+        /// The short name of the description is the title truncated to <see cref="MaxShortNameLength"/> characters.
+        /// </remarks>
+        public static XDocument Create(string title, Uri rootUrl)
+        {
+            ArgumentException.ThrowIfNullOrWhiteSpace(title);
+            ArgumentNullException.ThrowIfNull(rootUrl);
+            if (!rootUrl.IsAbsoluteUri)
+                throw new ArgumentException("The root URL must be absolute.", nameof(rootUrl));
+
+            title = title.Trim();
+            var shortName = title.Length > MaxShortNameLength ? title[..MaxShortNameLength].TrimEnd() : title;
+
+            return new XDocument
+            (
+                new XElement
+                (
+                    Namespace + "OpenSearchDescription",
+                    new XElement(Namespace + "ShortName", shortName),
+                    new XElement(Namespace + "Description", $"Search {title}"),
+                    new XElement(Namespace + "InputEncoding", "UTF-8"),
+                    new XElement
+                    (
+                        Namespace + "Url",
+                        new XAttribute("type", "text/html"),
+                        new XAttribute("method", "get"),
+                        new XAttribute("template", rootUrl.AbsoluteUri + "?q={searchTerms}")
+                    ),
+                    new XElement
+                    (
+                        Namespace + "Url",
+                        new XAttribute("type", "application/opensearchdescription+xml"),
+                        new XAttribute("rel", "self"),
+                        new XAttribute("template", new Uri(rootUrl, FilePath).AbsoluteUri)
+                    )
+                )
+            );
+        }
+    }
+}
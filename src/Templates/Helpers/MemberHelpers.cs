@@ -36,6 +36,8 @@ namespace Kampose.Templates.Helpers
             handlebars.RegisterHelper(nameof(MemberName), (context, arguments) => MemberName(arguments, documentationContext));
             handlebars.RegisterHelper(nameof(MemberUrl), (context, arguments) => MemberUrl(arguments, documentationContext));
             handlebars.RegisterHelper(nameof(MemberCategory), MemberCategory);
+            handlebars.RegisterHelper(nameof(IsInherited), IsInherited);
+            handlebars.RegisterHelper(nameof(IsObsolete), IsObsolete);
         }
 
         /// <summary>
@@ -140,6 +142,37 @@ namespace Kampose.Templates.Helpers
             };
         }
 
+        /// <summary>
+        /// Determines whether a code element is a type member inherited from a base type.
+        /// </summary>
+        /// <param name="context">The current context.</param>
+        /// <param name="arguments">The arguments passed to the helper.</param>
+        /// <returns><see langword="true"/> if the code element is an inherited member; otherwise, <see langword="false"/>.</returns>
+        /// <exception cref="HandlebarsException">Thrown when the number of arguments is not valid.</exception>
+        private static object IsInherited(Context context, Arguments arguments)
+        {
+            if (arguments.Length != 1)
+                throw new HandlebarsException($"{nameof(IsInherited)} template helper function requires one argument.");
+
+            var member = ToMember(arguments[0]);
+            return member is not IType && member.DeclaringType is not null && !member.IsDirectDeclaration;
+        }
+
+        /// <summary>
+        /// Determines whether a code element is marked as obsolete.
+        /// </summary>
+        /// <param name="context">The current context.</param>
+        /// <param name="arguments">The arguments passed to the helper.</param>
+        /// <returns><see langword="true"/> if the code element has the <see cref="ObsoleteAttribute"/>; otherwise, <see langword="false"/>.</returns>
+        /// <exception cref="HandlebarsException">Thrown when the number of arguments is not valid.</exception>
+        private static object IsObsolete(Context context, Arguments arguments)
+        {
+            if (arguments.Length != 1)
+                throw new HandlebarsException($"{nameof(IsObsolete)} template helper function requires one argument.");
+
+            return ToMember(arguments[0]).HasCustomAttribute("System.ObsoleteAttribute");
+        }
+
         /// <summary>
         /// Converts an object to an <see cref="IMember"/> if possible.
         /// </summary>
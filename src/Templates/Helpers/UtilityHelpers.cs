@@ -10,6 +10,7 @@ namespace Kampose.Templates.Helpers
     using Kampute.DocToolkit.Support;
     using System;
     using System.Collections;
+    using System.Collections.Generic;
     using System.Globalization;
     using System.Linq;
     using System.Text.RegularExpressions;
@@ -19,6 +20,14 @@ namespace Kampose.Templates.Helpers
     /// </summary>
     public static partial class UtilityHelpers
     {
+        /// <summary>
+        /// The primary language subtags of the languages written from right to left.
+        /// </summary>
+        private static readonly HashSet<string> RightToLeftLanguages = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "ar", "arc", "ckb", "dv", "fa", "he", "ps", "sd", "ug", "ur", "yi"
+        };
+
         /// <summary>
         /// Registers the utility helper methods with the specified Handlebars environment.
         /// </summary>
@@ -36,6 +45,7 @@ namespace Kampose.Templates.Helpers
             handlebars.RegisterHelper(nameof(Select), Select);
             handlebars.RegisterHelper(nameof(Len), Len);
             handlebars.RegisterHelper(nameof(Now), Now);
+            handlebars.RegisterHelper(nameof(TextDirection), TextDirection);
             handlebars.RegisterHelper(nameof(Json), Json);
 
             handlebars.RegisterHelper(nameof(Literal), (output, context, arguments) => Literal(in output, arguments, documentationContext));
@@ -178,6 +188,22 @@ namespace Kampose.Templates.Helpers
             return DateTime.Now.ToString(arguments.Length == 1 ? arguments[0]?.ToString() : null, CultureInfo.InvariantCulture);
         }
 
+        /// <summary>
+        /// Returns the direction in which the text of the specified language is written.
+        /// </summary>
+        /// <param name="context">The current context.</param>
+        /// <param name="arguments">The arguments passed to the helper.</param>
+        /// <returns><c>rtl</c> if the language is written from right to left; otherwise, <c>ltr</c>.</returns>
+        /// <exception cref="HandlebarsException">Thrown when the number of arguments is not valid.</exception>
+        private static object TextDirection(Context context, Arguments arguments)
+        {
+            if (arguments.Length != 1)
+                throw new HandlebarsException($"{nameof(TextDirection)} template helper function requires one argument.");
+
+            var language = arguments[0]?.ToString()?.Split('-', '_')[0].Trim() ?? string.Empty;
+            return RightToLeftLanguages.Contains(language) ? "rtl" : "ltr";
+        }
+
         /// <summary>
         /// Returns the JSON representation of the specified object.
         /// </summary>
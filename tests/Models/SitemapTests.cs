@@ -0,0 +1,150 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Test.Models
+{
+    using Kampose.Models;
+    using Kampose.Support;
+    using Kampose.Test.Models.SitemapSamples;
+    using Kampute.DocToolkit;
+    using Kampute.DocToolkit.Formatters;
+    using Kampute.DocToolkit.Languages;
+    using Kampute.DocToolkit.Metadata;
+    using NUnit.Framework;
+    using System.Linq;
+    using System.Text.Json;
+
+    [TestFixture]
+    public class SitemapTests
+    {
+        private const string SampleNamespace = "Kampose.Test.Models.SitemapSamples";
+
+        private Sitemap sitemap;
+
+        [SetUp]
+        public void SetUp()
+        {
+            var assembly = typeof(SampleClass).GetMetadata().Assembly;
+            var context = new DocumentationContext(new CSharp(), MockHelper.CreateAddressProvider(), MockHelper.CreateXmlDocProvider(), new HtmlFormat(), [assembly], []);
+
+            sitemap = new Sitemap(context);
+        }
+
+        [Test]
+        public void Constructor_AssignsNamespaceKindToNamespaceNodes()
+        {
+            var node = GetNamespaceNode();
+
+            Assert.That(node.Kind, Is.EqualTo(Sitemap.NodeKinds.Namespace));
+        }
+
+        [TestCase(nameof(SampleClass), ExpectedResult = "class")]
+        [TestCase(nameof(SampleStruct), ExpectedResult = "struct")]
+        [TestCase(nameof(ISampleInterface), ExpectedResult = "interface")]
+        [TestCase(nameof(SampleEnum), ExpectedResult = "enum")]
+        [TestCase(nameof(SampleDelegate), ExpectedResult = "delegate")]
+        public string? Constructor_AssignsTypeKindToTypeNodes(string typeName)
+        {
+            return GetTypeNode(typeName).Kind;
+        }
+
+        [TestCase("Constructors", ExpectedResult = new[] { "constructor" })]
+        [TestCase("Fields", ExpectedResult = new[] { "field" })]
+        [TestCase("Properties", ExpectedResult = new[] { "property" })]
+        [TestCase("Methods", ExpectedResult = new[] { "method" })]
+        [TestCase("Events", ExpectedResult = new[] { "event" })]
+        [TestCase("Operators", ExpectedResult = new[] { "operator" })]
+        public string?[] Constructor_AssignsMemberKindToMemberNodes(string groupName)
+        {
+            var group = GetTypeNode(nameof(SampleClass)).Items!.Single(node => node.Title == groupName);
+
+            return group.Items is null
+                ? [group.Kind]
+                : [.. group.Items.Select(static node => node.Kind).Distinct()];
+        }
+
+        [Test]
+        public void Constructor_LeavesKindOfGroupNodesUnassigned()
+        {
+            var api = sitemap.Single(static node => node.Title == "API");
+            var methods = GetTypeNode(nameof(SampleClass)).Items!.Single(static node => node.Title == "Methods");
+
+            Assert.Multiple(() =>
+            {
+                Assert.That(api.Kind, Is.Null);
+                Assert.That(methods.Kind, Is.Null);
+            });
+        }
+
+        [Test]
+        public void Stringify_WritesSitemapFileShape()
+        {
+            using var json = JsonDocument.Parse(Json.Stringify(sitemap));
+
+            var api = json.RootElement.EnumerateArray().Single(static node => node.GetProperty("title").GetString() == "API");
+            var ns = api.GetProperty("items").EnumerateArray().Single(static node => node.GetProperty("title").GetString() == SampleNamespace);
+            var type = ns.GetProperty("items").EnumerateArray().Single(static node => node.GetProperty("title").GetString() == nameof(SampleClass));
+            var methods = type.GetProperty("items").EnumerateArray().Single(static node => node.GetProperty("title").GetString() == "Methods");
+            var method = methods.GetProperty("items").EnumerateArray().Single(static node => node.GetProperty("title").GetString() == nameof(SampleClass.Method));
+
+            Assert.Multiple(() =>
+            {
+                Assert.That(json.RootElement.ValueKind, Is.EqualTo(JsonValueKind.Array));
+                Assert.That(GetPropertyNames(api), Is.EqualTo(new[] { "title", "items" }));
+                Assert.That(GetPropertyNames(ns), Is.EqualTo(new[] { "title", "kind", "url", "items" }));
+                Assert.That(ns.GetProperty("kind").GetString(), Is.EqualTo("namespace"));
+                Assert.That(ns.GetProperty("url").ValueKind, Is.EqualTo(JsonValueKind.String));
+                Assert.That(GetPropertyNames(type), Is.EqualTo(new[] { "title", "kind", "url", "items" }));
+                Assert.That(GetPropertyNames(methods), Is.EqualTo(new[] { "title", "items" }));
+                Assert.That(GetPropertyNames(method), Is.EqualTo(new[] { "title", "kind", "url" }));
+                Assert.That(method.GetProperty("kind").GetString(), Is.EqualTo("method"));
+            });
+        }
+
+        private static string[] GetPropertyNames(JsonElement element)
+        {
+            return [.. element.EnumerateObject().Select(static property => property.Name)];
+        }
+
+        private SitemapNode GetNamespaceNode()
+        {
+            var api = sitemap.Single(static node => node.Title == "API");
+            return api.Items!.Single(static node => node.Title == SampleNamespace);
+        }
+
+        private SitemapNode GetTypeNode(string typeName)
+        {
+            return GetNamespaceNode().Items!.Single(node => node.Title == typeName);
+        }
+    }
+}
+
+namespace Kampose.Test.Models.SitemapSamples
+{
+    using System;
+
+    public class SampleClass
+    {
+        public int Field;
+
+        public SampleClass() { }
+
+        public int Property { get; set; }
+
+        public event EventHandler? Event { add { } remove { } }
+
+        public void Method() { }
+
+        public static SampleClass operator +(SampleClass left, SampleClass right) => left;
+    }
+
+    public struct SampleStruct { }
+
+    public interface ISampleInterface { }
+
+    public enum SampleEnum { None }
+
+    public delegate void SampleDelegate();
+}
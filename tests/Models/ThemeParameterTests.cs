@@ -8,6 +8,7 @@ namespace Kampose.Test.Models
     using Kampose.Models;
     using Kampose.Support;
     using NUnit.Framework;
+    using System.Collections.Generic;
     using System.Text.Json;
 
     [TestFixture]
@@ -25,6 +26,21 @@ namespace Kampose.Test.Models
             Assert.That(() => Json.Parse<ThemeParameter>(json), Throws.Nothing);
         }
 
+        [Test]
+        public void JsonConstructor_WithNestedDefaultValue_ConvertsToPlainValues()
+        {
+            var parameter = Json.Parse<ThemeParameter>(@"{""type"": ""object"", ""defaultValue"": {""name"": ""value"", ""count"": 2, ""enabled"": true, ""items"": [""item"", null], ""nested"": {""key"": ""value""}}}");
+
+            Assert.That(parameter.DefaultValue, Is.EqualTo(new Dictionary<string, object?>
+            {
+                ["name"] = "value",
+                ["count"] = 2.0,
+                ["enabled"] = true,
+                ["items"] = new List<object?> { "item", null },
+                ["nested"] = new Dictionary<string, object?> { ["key"] = "value" }
+            }));
+        }
+
         [TestCase(@"{""type"": ""string"", ""defaultValue"": 999}", "String was expected")]
         [TestCase(@"{""type"": ""markdown"", ""defaultValue"": 999}", "Markdown was expected")]
         [TestCase(@"{""type"": ""number"", ""defaultValue"": ""not a number""}", "Number was expected")]
@@ -0,0 +1,143 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Test.Services
+{
+    using Kampose.Models;
+    using Kampose.Reporters;
+    using Kampose.Services;
+    using Moq;
+    using NUnit.Framework;
+    using System;
+    using System.IO;
+    using System.Linq;
+
+    [TestFixture]
+    public class SearchIndexServiceTests
+    {
+        private readonly string tempDir = Path.Combine(Path.GetTempPath(), Guid.NewGuid().ToString());
+
+        [SetUp]
+        public void SetUp()
+        {
+            Directory.CreateDirectory(tempDir);
+        }
+
+        [TearDown]
+        public void TearDown()
+        {
+            if (Directory.Exists(tempDir))
+                Directory.Delete(tempDir, true);
+        }
+
+        [Test]
+        public void CreateEntry_ExtractsTitleSummaryAndBodyOfMainContent()
+        {
+            var node = new SitemapNode("Node Title", new Uri("page.html", UriKind.Relative)) { Kind = "class" };
+            var html = "<html><head><meta name=\"description\" content=\"The summary.\" /></head><body><nav>Navigation</nav>"
+                     + "<main><header>Header</header><h1>Page <code>Title</code></h1><p>First paragraph.</p><p>Second paragraph.</p>"
+                     + "<footer>Footer</footer></main></body></html>";
+
+            var entry = SearchIndexService.CreateEntry(node, "Sample.Namespace", html);
+
+            Assert.Multiple(() =>
+            {
+                Assert.That(entry.Title, Is.EqualTo("Page Title"));
+                Assert.That(entry.Url.OriginalString, Is.EqualTo("page.html"));
+                Assert.That(entry.Summary, Is.EqualTo("The summary."));
+                Assert.That(entry.Body, Is.EqualTo("First paragraph. Second paragraph."));
+                Assert.That(entry.Kind, Is.EqualTo("class"));
+                Assert.That(entry.Namespace, Is.EqualTo("Sample.Namespace"));
+            });
+        }
+
+        [Test]
+        public void CreateEntry_WithoutHeadingAndDescription_FallsBackToNodeTitleAndFirstParagraph()
+        {
+            var node = new SitemapNode("Node Title", new Uri("page.html", UriKind.Relative));
+            var html = "<body><p>First paragraph.</p><p>Second paragraph.</p></body>";
+
+            var entry = SearchIndexService.CreateEntry(node, null, html);
+
+            Assert.Multiple(() =>
+            {
+                Assert.That(entry.Title, Is.EqualTo("Node Title"));
+                Assert.That(entry.Summary, Is.EqualTo("First paragraph."));
+                Assert.That(entry.Kind, Is.Null);
+                Assert.That(entry.Namespace, Is.Null);
+            });
+        }
+
+        [Test]
+        public void CreateEntry_WithLongBody_TruncatesBodyAtWordBoundary()
+        {
+            var node = new SitemapNode("Node Title", new Uri("page.html", UriKind.Relative));
+            var html = $"<main><p>{string.Join(' ', Enumerable.Repeat("word", SearchIndexService.MaxBodyLength))}</p></main>";
+
+            var entry = SearchIndexService.CreateEntry(node, null, html);
+
+            Assert.That(entry.Body, Has.Length.LessThanOrEqualTo(SearchIndexService.MaxBodyLength));
+            Assert.That(entry.Body, Does.EndWith("word"));
+        }
+
+        [Test]
+        public void CreateEntry_WithGroupNode_ThrowsArgumentException()
+        {
+            var node = new SitemapNode("Group", []);
+
+            Assert.Throws<ArgumentException>(() => SearchIndexService.CreateEntry(node, null, "<p>Text</p>"));
+        }
+
+        [Test]
+        public void CreateEntries_IndexesGeneratedPagesWithTheirNamespaces()
+        {
+            WritePage("sample/index.html", "<main><h1>Sample Namespace</h1></main>");
+            WritePage("sample/sampleclass.html", "<main><h1>SampleClass Class</h1></main>");
+            WritePage("sample/sampleclass.method.html", "<main><h1>SampleClass.Method Method</h1></main>");
+            WritePage("guide.html", "<main><h1>Guide</h1></main>");
+
+            var nodes = new[]
+            {
+                new SitemapNode("API",
+                [
+                    new SitemapNode("Sample", new Uri("sample/index.html", UriKind.Relative),
+                    [
+                        new SitemapNode("SampleClass", new Uri("sample/sampleclass.html", UriKind.Relative),
+                        [
+                            new SitemapNode("Methods",
+                            [
+                                new SitemapNode("Method", new Uri("sample/sampleclass.method.html", UriKind.Relative)) { Kind = "method" },
+                                new SitemapNode("Missing", new Uri("sample/sampleclass.missing.html", UriKind.Relative)) { Kind = "method" }
+                            ])
+                        ]) { Kind = "class" }
+                    ]) { Kind = "namespace" }
+                ]),
+                new SitemapNode("Topics",
+                [
+                    new SitemapNode("Guide", new Uri("guide.html", UriKind.Relative)) { Kind = "topic" },
+                    new SitemapNode("Guide Again", new Uri("guide.html", UriKind.Relative)) { Kind = "topic" }
+                ])
+            };
+
+            var service = new SearchIndexService(Mock.Of<IActivityReporter>());
+            var entries = service.CreateEntries(nodes, tempDir);
+
+            Assert.That(entries.Select(static e => (e.Title, e.Kind, e.Namespace)), Is.EqualTo(new (string, string?, string?)[]
+            {
+                ("Sample Namespace", "namespace", "Sample"),
+                ("SampleClass Class", "class", "Sample"),
+                ("SampleClass.Method Method", "method", "Sample"),
+                ("Guide", "topic", null)
+            }));
+        }
+
+        private void WritePage(string path, string html)
+        {
+            var pagePath = Path.Combine(tempDir, path);
+            Directory.CreateDirectory(Path.GetDirectoryName(pagePath)!);
+            File.WriteAllText(pagePath, html);
+        }
+    }
+}
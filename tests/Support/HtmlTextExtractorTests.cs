@@ -0,0 +1,54 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Test.Support
+{
+    using Kampose.Support;
+    using NUnit.Framework;
+
+    [TestFixture]
+    public class HtmlTextExtractorTests
+    {
+        [TestCase("<h1>Title</h1>", "h1", ExpectedResult = "Title")]
+        [TestCase("<H1 class=\"x\">Title</H1>", "h1", ExpectedResult = "Title")]
+        [TestCase("<p>First</p><p>Second</p>", "p", ExpectedResult = "First")]
+        [TestCase("<main id=\"article\">\n<p>Text</p>\n</main>", "main", ExpectedResult = "\n<p>Text</p>\n")]
+        [TestCase("<pre>Code</pre>", "p", ExpectedResult = null)]
+        [TestCase("<div>No heading</div>", "h1", ExpectedResult = null)]
+        public string? GetElementContent_ReturnsInnerHtmlOfFirstMatch(string html, string tagName)
+        {
+            return HtmlTextExtractor.GetElementContent(html, tagName);
+        }
+
+        [TestCase("<meta name=\"description\" content=\"A  &lt;summary&gt;\" />", "description", ExpectedResult = "A <summary>")]
+        [TestCase("<meta name=\"generator\" content=\"Kampose\" />", "description", ExpectedResult = null)]
+        public string? GetMetaContent_ReturnsDecodedContent(string html, string name)
+        {
+            return HtmlTextExtractor.GetMetaContent(html, name);
+        }
+
+        [TestCase("<header>Header</header><p>Text</p><footer>Footer</footer>", ExpectedResult = " <p>Text</p> ")]
+        [TestCase("<p>Text</p>", ExpectedResult = "<p>Text</p>")]
+        public string RemoveElements_RemovesElementsWithContent(string html)
+        {
+            return HtmlTextExtractor.RemoveElements(html, "header", "footer");
+        }
+
+        [TestCase("", ExpectedResult = "")]
+        [TestCase("<p>Hello <strong>world</strong>!</p>", ExpectedResult = "Hello world!")]
+        [TestCase("Call <code>List&lt;T&gt;</code>.<a href=\"add.html\">Add</a>()", ExpectedResult = "Call List<T>.Add()")]
+        [TestCase("<p>First</p><p>Second</p>", ExpectedResult = "First Second")]
+        [TestCase("Line<br>Break", ExpectedResult = "Line Break")]
+        [TestCase("<li>One</li><li>Two</li>", ExpectedResult = "One Two")]
+        [TestCase("List&lt;T&gt; &amp; more", ExpectedResult = "List<T> & more")]
+        [TestCase("<script>var x = 1;</script>Text<style>p { color: red; }</style>", ExpectedResult = "Text")]
+        [TestCase("Before<!-- comment -->After", ExpectedResult = "Before After")]
+        [TestCase("  Multiple \n\t spaces  ", ExpectedResult = "Multiple spaces")]
+        public string ToPlainText_ReturnsTextWithoutMarkup(string html)
+        {
+            return HtmlTextExtractor.ToPlainText(html);
+        }
+    }
+}
@@ -27,6 +27,9 @@ namespace Kampose.Test.Support
         [TestCase("- List item 1\n- List item 2", ExpectedResult = "<ul>\n<li>List item 1</li>\n<li>List item 2</li>\n</ul>\n")]
         [TestCase("```\nvar x = 10;\nvar y = 20;\n```", ExpectedResult = "<pre><code>var x = 10;\nvar y = 20;\n</code></pre>\n")]
         [TestCase("```csharp\npublic class Example {\n    public void Test() {}\n}\n```", ExpectedResult = "<pre><code class=\"language-csharp\">public class Example {\n    public void Test() {}\n}\n</code></pre>\n")]
+        [TestCase("```csharp {2,5-7}\nvar x = 10;\nvar y = 20;\n```", ExpectedResult = "<pre><code class=\"language-csharp\" data-line=\"2,5-7\">var x = 10;\nvar y = 20;\n</code></pre>\n")]
+        [TestCase("```csharp { 1 , 3 - 4 }\nvar x = 10;\n```", ExpectedResult = "<pre><code class=\"language-csharp\" data-line=\"1,3-4\">var x = 10;\n</code></pre>\n")]
+        [TestCase("```diff-csharp\n-var x = 10;\n+var x = 20;\n```", ExpectedResult = "<pre><code class=\"language-diff-csharp\">-var x = 10;\n+var x = 20;\n</code></pre>\n")]
         [TestCase("| Header1 | Header2 |\n|---------|---------|\n| Cell1   | Cell2   |", ExpectedResult = "<table>\n<thead>\n<tr>\n<th>Header1</th>\n<th>Header2</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>Cell1</td>\n<td>Cell2</td>\n</tr>\n</tbody>\n</table>\n")]
         // Handlebars expression tests
         [TestCase("{{name}}", ExpectedResult = "<p>{{name}}</p>\n")]
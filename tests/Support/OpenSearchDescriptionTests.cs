@@ -0,0 +1,80 @@
+// Copyright (C) 2025 Kampute
+//
+// Released under the terms of the MIT license.
+// See the LICENSE file in the project root for the full license text.
+
+namespace Kampose.Test.Support
+{
+    using Kampose.Support;
+    using NUnit.Framework;
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
+
+    [TestFixture]
+    public class OpenSearchDescriptionTests
+    {
+        [Test]
+        public void Create_ReturnsOpenSearchDescriptionDocument()
+        {
+            var document = OpenSearchDescription.Create("Sample Project", new Uri("https://docs.example.com/sample/"));
+
+            var ns = OpenSearchDescription.Namespace;
+            var root = document.Root!;
+            var urls = root.Elements(ns + "Url").ToList();
+
+            Assert.Multiple(() =>
+            {
+                Assert.That(root.Name, Is.EqualTo(ns + "OpenSearchDescription"));
+                Assert.That(root.Element(ns + "ShortName")?.Value, Is.EqualTo("Sample Project"));
+                Assert.That(root.Element(ns + "Description")?.Value, Is.EqualTo("Search Sample Project"));
+                Assert.That(root.Element(ns + "InputEncoding")?.Value, Is.EqualTo("UTF-8"));
+                Assert.That(urls, Has.Count.EqualTo(2));
+                Assert.That(urls[0].Attribute("type")?.Value, Is.EqualTo("text/html"));
+                Assert.That(urls[0].Attribute("method")?.Value, Is.EqualTo("get"));
+                Assert.That(urls[0].Attribute("template")?.Value, Is.EqualTo("https://docs.example.com/sample/?q={searchTerms}"));
+                Assert.That(urls[1].Attribute("type")?.Value, Is.EqualTo("application/opensearchdescription+xml"));
+                Assert.That(urls[1].Attribute("rel")?.Value, Is.EqualTo("self"));
+                Assert.That(urls[1].Attribute("template")?.Value, Is.EqualTo("https://docs.example.com/sample/opensearch.xml"));
+            });
+        }
+
+        [TestCase("Short", ExpectedResult = "Short")]
+        [TestCase("Exactly Sixteen!", ExpectedResult = "Exactly Sixteen!")]
+        [TestCase("A Very Long Project Name", ExpectedResult = "A Very Long Proj")]
+        [TestCase("Sixteen Letters  Plus", ExpectedResult = "Sixteen Letters")]
+        public string Create_TruncatesShortNameToSixteenCharacters(string title)
+        {
+            var document = OpenSearchDescription.Create(title, new Uri("https://docs.example.com/"));
+
+            return document.Root!.Element(OpenSearchDescription.Namespace + "ShortName")!.Value;
+        }
+
+        [Test]
+        public void Create_WithLongTitle_KeepsFullTitleInDescription()
+        {
+            var document = OpenSearchDescription.Create("A Very Long Project Name", new Uri("https://docs.example.com/"));
+
+            Assert.That(document.Root!.Element(OpenSearchDescription.Namespace + "Description")?.Value, Is.EqualTo("Search A Very Long Project Name"));
+        }
+
+        [Test]
+        public void Create_WithRelativeRootUrl_ThrowsArgumentException()
+        {
+            Assert.That(() => OpenSearchDescription.Create("Sample", new Uri("docs/", UriKind.Relative)), Throws.ArgumentException);
+        }
+
+        [TestCase("https://docs.example.com/", true, ExpectedResult = true)]
+        [TestCase("https://docs.example.com/", false, ExpectedResult = false)]
+        [TestCase("https://docs.example.com/", null, ExpectedResult = false)]
+        [TestCase("docs/", true, ExpectedResult = false)]
+        public bool IsEnabled_ReturnsWhetherThemeEnablesItForAbsoluteRootUrl(string rootUrl, bool? setting)
+        {
+            var templateData = new Dictionary<string, object?>();
+            if (setting.HasValue)
+                templateData[OpenSearchDescription.SettingName] = setting.Value;
+
+            return OpenSearchDescription.IsEnabled(templateData, new Uri(rootUrl, UriKind.RelativeOrAbsolute));
+        }
+    }
+}
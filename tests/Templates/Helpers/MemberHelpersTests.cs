@@ -11,6 +11,9 @@ namespace Kampose.Test.Templates.Helpers
     using Kampute.DocToolkit.Formatters;
     using Kampute.DocToolkit.Metadata;
     using NUnit.Framework;
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
 
     [TestFixture]
     public class MemberHelpersTests
@@ -103,6 +106,38 @@ namespace Kampose.Test.Templates.Helpers
             return template(new { value = cref });
         }
 
+        [TestCase("N:System.Collections.Generic", ExpectedResult = "False")]
+        [TestCase("T:System.Collections.Generic.List`1", ExpectedResult = "False")]
+        [TestCase("M:System.Console.WriteLine", ExpectedResult = "False")]
+        [TestCase("P:System.Collections.Generic.List`1.Count", ExpectedResult = "False")]
+        public string IsInherited_WithCodeReference_ReturnsWhetherMemberIsInherited(string cref)
+        {
+            var template = handlebars.Compile("{{#isInherited value}}");
+            return template(new { value = cref });
+        }
+
+        [TestCase(typeof(ArgumentNullException), nameof(ArgumentNullException.ParamName), ExpectedResult = "True")]
+        [TestCase(typeof(Stack<int>), nameof(ToString), ExpectedResult = "True")]
+        [TestCase(typeof(ArgumentException), nameof(ArgumentException.ParamName), ExpectedResult = "False")]
+        [TestCase(typeof(Stack<int>), nameof(Stack<int>.Count), ExpectedResult = "False")]
+        public string IsInherited_WithReflectedMember_ReturnsWhetherMemberIsInherited(Type reflectedType, string memberName)
+        {
+            var member = reflectedType.GetMember(memberName).Single();
+
+            var template = handlebars.Compile("{{#isInherited value}}");
+            return template(new { value = member });
+        }
+
+        [TestCase("N:System.Collections.Generic", ExpectedResult = "False")]
+        [TestCase("M:System.Console.WriteLine", ExpectedResult = "False")]
+        [TestCase("M:System.Threading.Thread.Suspend", ExpectedResult = "True")]
+        [TestCase("T:System.Net.WebClient", ExpectedResult = "True")]
+        public string IsObsolete_ReturnsWhetherMemberIsObsolete(string cref)
+        {
+            var template = handlebars.Compile("{{#isObsolete value}}");
+            return template(new { value = cref });
+        }
+
         [TestCase("N:System.Collections.Generic", ExpectedResult = "https://example.com/system.collections.generic")]
         [TestCase("T:System.Collections.Generic.List`1", ExpectedResult = "https://example.com/system.collections.generic.list-1")]
         [TestCase("T:System.Collections.Generic.List`1.Enumerator", ExpectedResult = "https://example.com/system.collections.generic.list-1.enumerator")]
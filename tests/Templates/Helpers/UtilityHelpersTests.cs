@@ -130,6 +130,19 @@ namespace Kampose.Test.Templates.Helpers
             Assert.That(result, Is.EqualTo(expected));
         }
 
+        [TestCase("en", ExpectedResult = "ltr")]
+        [TestCase("ja", ExpectedResult = "ltr")]
+        [TestCase("ar", ExpectedResult = "rtl")]
+        [TestCase("ar-EG", ExpectedResult = "rtl")]
+        [TestCase("HE", ExpectedResult = "rtl")]
+        [TestCase("", ExpectedResult = "ltr")]
+        [TestCase(null, ExpectedResult = "ltr")]
+        public string TextDirection_ReturnsDirectionOfLanguage(string? language)
+        {
+            var template = handlebars.Compile("{{#textDirection language}}");
+            return template(new { language });
+        }
+
         [Test]
         public void Json_ReturnsSerializedJson()
         {